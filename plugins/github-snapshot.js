@@ -0,0 +1,101 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Vite plugin that bakes a GitHub snapshot (profile, repos, topics, language bytes)
+ * into the bundle as `virtual:github-snapshot` and emits it as `github-snapshot.json`.
+ *
+ * The live API is only queried for production builds. Without network (or when the
+ * rate limit is hit) the last successful snapshot is reused, then the committed
+ * fixture, so a deploy never fails because GitHub was unreachable. Other build
+ * plugins (prerender) read the resolved data through `api.snapshot`.
+ */
+const VIRTUAL_ID = "virtual:github-snapshot";
+const RESOLVED_ID = "\0" + VIRTUAL_ID;
+const API = "https://api.github.com";
+
+const REPO_FIELDS = [
+  "id", "name", "full_name", "html_url", "description", "fork", "archived", "homepage",
+  "stargazers_count", "language", "topics", "license", "default_branch",
+  "created_at", "updated_at", "pushed_at",
+];
+
+async function get(url, { token, timeout }) {
+  const headers = { Accept: "application/vnd.github+json", "User-Agent": "portfolio-snapshot" };
+  if (token) headers["Authorization"] = `Bearer ${token}`;
+  const res = await fetch(url, { headers, signal: AbortSignal.timeout(timeout) });
+  if (!res.ok) throw new Error(`${url} responded ${res.status}`);
+  const next = res.headers.get("Link")?.match(/<([^>]+)>;\s*rel="next"/)?.[1] ?? null;
+  return { data: await res.json(), next };
+}
+
+async function fetchSnapshot(user, opts, previous) {
+  const profile = (await get(`${API}/users/${user}`, opts)).data;
+  const raw = [];
+  for (let next = `${API}/users/${user}/repos?per_page=100&sort=updated`; next; ) {
+    const page = await get(next, opts);
+    raw.push(...page.data); next = page.next;
+  }
+  const known = new Map((previous?.repos || []).map(r => [r.id, r.languages]));
+  const repos = [];
+  for (const x of raw) {
+    const repo = Object.fromEntries(REPO_FIELDS.map(k => [k, x[k] ?? null]));
+    repo.topics = x.topics || [];
+    // Language bytes cost one request per repo; keep the previous numbers if that fails.
+    try { repo.languages = (await get(x.languages_url, opts)).data; }
+    catch { repo.languages = known.get(x.id) || (x.language ? { [x.language]: 1 } : {}); }
+    repos.push(repo);
+  }
+  return { user: user.toLowerCase(), generatedAt: new Date().toISOString(), profile, repos };
+}
+
+async function readJson(file) {
+  try { return JSON.parse(await fs.readFile(file, "utf8")); } catch { return null; }
+}
+
+export default function githubSnapshot({ user, fixture = "src/data/github-snapshot.fixture.json", timeout = 10000 } = {}) {
+  let root, cacheFile, command, snapshot;
+
+  async function resolveSnapshot(log) {
+    const previous = await readJson(cacheFile);
+    if (command === "build" && process.env.GITHUB_SNAPSHOT !== "off") {
+      try {
+        const fresh = await fetchSnapshot(user, { token: process.env.GITHUB_TOKEN, timeout }, previous);
+        await fs.mkdir(path.dirname(cacheFile), { recursive: true });
+        await fs.writeFile(cacheFile, JSON.stringify(fresh, null, 2));
+        log.info?.(`fetched ${fresh.repos.length} repos for @${user}`);
+        return fresh;
+      } catch (e) {
+        log.warn(`live fetch failed (${e.message}); falling back to ${previous ? "last snapshot" : "fixture"}`);
+      }
+    }
+    if (previous?.user === user.toLowerCase()) return previous;
+    const fallback = await readJson(path.resolve(root, fixture));
+    if (!fallback) throw new Error(`[github-snapshot] no snapshot available and fixture ${fixture} is missing`);
+    return fallback;
+  }
+
+  return {
+    name: "github-snapshot",
+    api: {
+      get snapshot() { return snapshot; },
+    },
+    configResolved(config) {
+      root = config.root;
+      command = config.command;
+      cacheFile = path.resolve(root, "node_modules/.cache/github-snapshot.json");
+    },
+    async buildStart() {
+      snapshot = await resolveSnapshot({ info: msg => this.info?.(msg), warn: msg => this.warn(msg) });
+    },
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+    load(id) {
+      if (id === RESOLVED_ID) return `export default ${JSON.stringify(snapshot)};`;
+    },
+    generateBundle() {
+      this.emitFile({ type: "asset", fileName: "github-snapshot.json", source: JSON.stringify(snapshot) });
+    },
+  };
+}
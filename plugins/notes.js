@@ -0,0 +1,211 @@
+import fs from "node:fs";
+import path from "node:path";
+import hljs from "highlight.js";
+import { Marked } from "marked";
+import YAML from "yaml";
+
+/**
+ * Compiles the markdown posts in `content/notes/` into `virtual:notes`, with
+ * code blocks highlighted at build time so no highlighter ships to the browser.
+ * Production builds also emit `feed.xml` (RSS 2.0) and `atom.xml`, and other
+ * plugins (prerender) read the compiled posts through `api.notes`.
+ *
+ * Front matter:
+ *   title: required
+ *   date: required, YYYY-MM-DD
+ *   tags: [android, kotlin]
+ *   summary: one line for the listing and the feeds (defaults to the first paragraph)
+ *   slug: defaults to the file name without a leading date
+ *   draft: true keeps the post out of production builds
+ */
+const VIRTUAL_ID = "virtual:notes";
+const RESOLVED_ID = "\0" + VIRTUAL_ID;
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const WORDS_PER_MINUTE = 200;
+
+export class NotesError extends Error {
+  constructor(problems) {
+    super(`Invalid notes:\n${problems.map(p => `  - ${p}`).join("\n")}`);
+    this.name = "NotesError";
+    this.problems = problems;
+  }
+}
+
+const escapeHtml = s => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    code({ text, lang }) {
+      const language = (lang || "").split(/\s/)[0].toLowerCase();
+      const body = hljs.getLanguage(language) ? hljs.highlight(text, { language }).value : escapeHtml(text);
+      return `<pre><code class="hljs${language ? ` language-${escapeHtml(language)}` : ""}">${body}</code></pre>\n`;
+    },
+  },
+});
+
+function firstParagraph(body) {
+  const para = body.split(/\r?\n\s*\r?\n/).find(p => p.trim() && !/^(#|```|\s*[-*>|]|!\[)/.test(p.trim()));
+  return para ? para.replace(/[*_`[\]]|\(([^)]*)\)/g, "").replace(/\s+/g, " ").trim() : "";
+}
+
+function parseNote(file) {
+  const name = path.basename(file);
+  const text = fs.readFileSync(file, "utf8");
+  const match = text.match(FRONT_MATTER);
+  if (!match) return { problems: [`${name}: missing front matter (--- title/date --- block at the top)`] };
+  let meta;
+  try { meta = YAML.parse(match[1]) || {}; } catch (e) { return { problems: [`${name}: ${e.message}`] }; }
+
+  // YAML turns an unquoted 2024-05-01 into a Date
+  const date = meta.date instanceof Date ? meta.date.toISOString().slice(0, 10) : String(meta.date ?? "");
+  const problems = [];
+  if (typeof meta.title !== "string" || !meta.title.trim()) problems.push(`${name}: "title" is required`);
+  if (!DATE.test(date) || Number.isNaN(Date.parse(date))) problems.push(`${name}: "date" must be YYYY-MM-DD`);
+  if (meta.tags != null && !(Array.isArray(meta.tags) && meta.tags.every(t => typeof t === "string"))) problems.push(`${name}: "tags" must be a list of strings`);
+  if (problems.length) return { problems };
+
+  const body = text.slice(match[0].length);
+  return {
+    note: {
+      slug: meta.slug || name.replace(/\.md$/, "").replace(/^\d{4}-\d{2}-\d{2}-/, ""),
+      title: meta.title.trim(),
+      date,
+      tags: (meta.tags || []).map(t => t.toLowerCase()),
+      summary: meta.summary || firstParagraph(body),
+      draft: meta.draft === true,
+      minutes: Math.max(1, Math.round(body.split(/\s+/).filter(Boolean).length / WORDS_PER_MINUTE)),
+      html: markdown.parse(body),
+    },
+  };
+}
+
+export function loadNotes(dir, { drafts = false } = {}) {
+  if (!fs.existsSync(dir)) return [];
+  const problems = [];
+  const notes = [];
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".md")).sort()) {
+    const result = parseNote(path.join(dir, file));
+    if (result.problems) problems.push(...result.problems);
+    else if (drafts || !result.note.draft) notes.push(result.note);
+  }
+  const seen = new Set();
+  for (const n of notes) {
+    if (seen.has(n.slug)) problems.push(`duplicate slug "${n.slug}"`);
+    seen.add(n.slug);
+  }
+  if (problems.length) throw new NotesError(problems);
+  return notes.sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+}
+
+// ---------------- Feeds ----------------
+const escapeXml = s => String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+const noteUrl = (site, slug) => new URL(`?note=${encodeURIComponent(slug)}`, site).href;
+
+export function rssFeed(notes, { url, title, description }) {
+  const items = notes.map(n => `    <item>
+      <title>${escapeXml(n.title)}</title>
+      <link>${escapeXml(noteUrl(url, n.slug))}</link>
+      <guid isPermaLink="true">${escapeXml(noteUrl(url, n.slug))}</guid>
+      <pubDate>${new Date(n.date).toUTCString()}</pubDate>
+${n.tags.map(t => `      <category>${escapeXml(t)}</category>\n`).join("")}      <description>${escapeXml(n.summary)}</description>
+      <content:encoded><![CDATA[${n.html.replaceAll("]]>", "]]]]><![CDATA[>")}]]></content:encoded>
+    </item>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(url)}</link>
+    <description>${escapeXml(description)}</description>
+    <atom:link href="${escapeXml(new URL("feed.xml", url).href)}" rel="self" type="application/rss+xml" />
+${notes[0] ? `    <lastBuildDate>${new Date(notes[0].date).toUTCString()}</lastBuildDate>\n` : ""}${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+export function atomFeed(notes, { url, title, description, author }) {
+  const updated = notes[0] ? new Date(notes[0].date).toISOString() : new Date(0).toISOString();
+  const entries = notes.map(n => `  <entry>
+    <title>${escapeXml(n.title)}</title>
+    <link href="${escapeXml(noteUrl(url, n.slug))}" />
+    <id>${escapeXml(noteUrl(url, n.slug))}</id>
+    <updated>${new Date(n.date).toISOString()}</updated>
+${n.tags.map(t => `    <category term="${escapeXml(t)}" />\n`).join("")}    <summary>${escapeXml(n.summary)}</summary>
+    <content type="html">${escapeXml(n.html)}</content>
+  </entry>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link href="${escapeXml(url)}" />
+  <link href="${escapeXml(new URL("atom.xml", url).href)}" rel="self" />
+  <id>${escapeXml(url)}</id>
+  <updated>${updated}</updated>
+  <author><name>${escapeXml(author)}</name></author>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+export default function notesPlugin({ config }, { dir = "content/notes" } = {}) {
+  let root, command, notes = [];
+  const feedInfo = () => ({ url: config.url, title: `${config.name} — notes`, description: config.tagline || config.bio || "", author: config.name });
+
+  return {
+    name: "notes",
+    api: {
+      get notes() { return notes; },
+    },
+    configResolved(resolved) {
+      root = resolved.root;
+      command = resolved.command;
+    },
+    buildStart() {
+      notes = loadNotes(path.resolve(root, dir), { drafts: command === "serve" });
+    },
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+    load(id) {
+      if (id === RESOLVED_ID) return `export default ${JSON.stringify(notes)};`;
+    },
+    transformIndexHtml() {
+      // the feeds only exist in the build output
+      if (command !== "build" || !notes.length || !config.url) return;
+      return [
+        { tag: "link", attrs: { rel: "alternate", type: "application/rss+xml", title: feedInfo().title, href: "/feed.xml" }, injectTo: "head" },
+        { tag: "link", attrs: { rel: "alternate", type: "application/atom+xml", title: feedInfo().title, href: "/atom.xml" }, injectTo: "head" },
+      ];
+    },
+    generateBundle() {
+      if (!notes.length) return;
+      if (!config.url) {
+        this.warn("no `url` in the portfolio config; skipping feed.xml/atom.xml");
+        return;
+      }
+      this.emitFile({ type: "asset", fileName: "feed.xml", source: rssFeed(notes, feedInfo()) });
+      this.emitFile({ type: "asset", fileName: "atom.xml", source: atomFeed(notes, feedInfo()) });
+    },
+    configureServer(server) {
+      const notesDir = path.resolve(root, dir);
+      server.watcher.add(notesDir);
+      const reload = changed => {
+        if (!path.resolve(changed).startsWith(notesDir + path.sep)) return;
+        try {
+          notes = loadNotes(notesDir, { drafts: true });
+        } catch (e) {
+          server.config.logger.error(e.message);
+          return;
+        }
+        const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (mod) server.moduleGraph.invalidateModule(mod);
+        server.ws.send({ type: "full-reload" });
+      };
+      server.watcher.on("add", reload);
+      server.watcher.on("change", reload);
+      server.watcher.on("unlink", reload);
+    },
+  };
+}
@@ -0,0 +1,60 @@
+import { Resvg } from "@resvg/resvg-js";
+import { aggregateLanguages, buildPlanets } from "../src/languages.js";
+import { SNAPSHOT_SIZES, backdropSvg, snapshotSvg } from "../src/snapshotCard.js";
+import { DEFAULT_THEME, THEMES } from "../src/themes.js";
+
+/**
+ * Emits `og-image.png`, the link-preview image, drawn by the same card
+ * renderer as the page's snapshot command (src/snapshotCard.js): the profile
+ * over a flat drawing of the scene in the default theme. The avatar is fetched
+ * and inlined; when that fails the card shows the initial instead.
+ *
+ * Needs the github-snapshot plugin. prerender points og:image and
+ * twitter:image at `api.image` when the config has a `url` to resolve it against.
+ */
+export const OG_IMAGE = "og-image.png";
+// The card's font list starts with families resvg won't find on Linux, and resvg
+// doesn't fall through the list; this is what it uses instead.
+const FONT_FAMILY = "DejaVu Sans Mono";
+const AVATAR_TIMEOUT = 10_000;
+
+async function inlineImage(url) {
+  if (!url) return undefined;
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(AVATAR_TIMEOUT) });
+    if (!res.ok) return undefined;
+    const type = res.headers.get("content-type") || "image/png";
+    return `data:${type};base64,${Buffer.from(await res.arrayBuffer()).toString("base64")}`;
+  } catch {
+    return undefined;
+  }
+}
+
+export default function ogImage({ config }) {
+  let snapshotApi;
+  return {
+    name: "og-image",
+    apply: "build",
+    api: { image: OG_IMAGE, size: SNAPSHOT_SIZES.og },
+    configResolved(resolved) {
+      snapshotApi = resolved.plugins.find(p => p.name === "github-snapshot")?.api;
+      if (!snapshotApi) throw new Error("[og-image] the github-snapshot plugin is required");
+    },
+    async generateBundle() {
+      const { profile = {}, repos = [] } = snapshotApi.snapshot;
+      const theme = THEMES[DEFAULT_THEME];
+      const [width, height] = SNAPSHOT_SIZES.og;
+      const planets = buildPlanets(aggregateLanguages(repos.filter(r => !r.fork)), config.planets);
+      const avatar = await inlineImage(profile.avatar_url);
+      if (profile.avatar_url && !avatar) this.warn("couldn't fetch the avatar; the preview image shows the initial instead");
+      const svg = snapshotSvg({
+        width, height, theme, avatar, url: config.url,
+        name: profile.name || config.name,
+        tagline: (profile.bio || config.tagline || "").replaceAll("|", "•"),
+        backdrop: backdropSvg({ width, height, planets, theme }),
+      });
+      const png = new Resvg(svg, { font: { loadSystemFonts: true, defaultFontFamily: FONT_FAMILY } }).render().asPng();
+      this.emitFile({ type: "asset", fileName: OG_IMAGE, source: png });
+    },
+  };
+}
@@ -0,0 +1,112 @@
+import fs from "node:fs";
+import path from "node:path";
+import Ajv from "ajv";
+import YAML from "yaml";
+import { scriptProblems } from "../src/typewriter.js";
+
+/**
+ * Loads `portfolio.config.(json|yaml|yml)`, validates it against
+ * portfolio.schema.json and exposes it to the app as `virtual:portfolio-config`.
+ * A broken config stops the dev server / build with a list of what is wrong
+ * instead of surfacing later as an undefined somewhere in the scene.
+ */
+const VIRTUAL_ID = "virtual:portfolio-config";
+const RESOLVED_ID = "\0" + VIRTUAL_ID;
+const CANDIDATES = ["portfolio.config.json", "portfolio.config.yaml", "portfolio.config.yml"];
+
+export class PortfolioConfigError extends Error {
+  constructor(file, problems) {
+    super(`Invalid ${file}:\n${problems.map(p => `  - ${p}`).join("\n")}`);
+    this.name = "PortfolioConfigError";
+    this.problems = problems;
+  }
+}
+
+function findConfig(root) {
+  const found = CANDIDATES.filter(f => fs.existsSync(path.join(root, f)));
+  if (found.length === 0) throw new PortfolioConfigError("portfolio config", [`none of ${CANDIDATES.join(", ")} exists in ${root}`]);
+  if (found.length > 1) throw new PortfolioConfigError("portfolio config", [`found ${found.join(" and ")}; keep only one`]);
+  return path.join(root, found[0]);
+}
+
+function parse(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const name = path.basename(file);
+  if (file.endsWith(".json")) {
+    try { return JSON.parse(text); } catch (e) { throw new PortfolioConfigError(name, [e.message]); }
+  }
+  const doc = YAML.parseDocument(text, { prettyErrors: true });
+  if (doc.errors.length) throw new PortfolioConfigError(name, doc.errors.map(e => e.message));
+  return doc.toJS();
+}
+
+function describe(err) {
+  const at = err.instancePath || "(root)";
+  if (err.keyword === "additionalProperties") return `${at}: unknown key "${err.params.additionalProperty}"`;
+  if (err.keyword === "discriminator") return `${at}: unsupported ${err.params.tag} "${err.params.tagValue}"`;
+  if (err.keyword === "enum") return `${at} ${err.message}: ${err.params.allowedValues.join(", ")}`;
+  return `${at} ${err.message}`;
+}
+
+export function loadPortfolioConfig(root = process.cwd()) {
+  const file = findConfig(root);
+  const config = parse(file);
+  const schema = JSON.parse(fs.readFileSync(new URL("../portfolio.schema.json", import.meta.url), "utf8"));
+  const validate = new Ajv({ allErrors: true, discriminator: true, allowUnionTypes: true }).compile(schema);
+  const problems = validate(config) ? [] : validate.errors.map(describe);
+  const seen = new Set();
+  for (const s of config?.sections || []) {
+    if (seen.has(s.id)) problems.push(`/sections: duplicate id "${s.id}"`);
+    seen.add(s.id);
+  }
+  const featured = new Set();
+  for (const f of config?.featured || []) {
+    if (featured.has(f.repo.toLowerCase())) problems.push(`/featured: "${f.repo}" is listed twice`);
+    featured.add(f.repo.toLowerCase());
+  }
+  if (Array.isArray(config?.typewriter)) problems.push(...scriptProblems(config.typewriter, "/typewriter"));
+  for (const [locale, t] of Object.entries(config?.translations || {})) {
+    if (Array.isArray(t.typewriter)) problems.push(...scriptProblems(t.typewriter, `/translations/${locale}/typewriter`));
+    for (const id of Object.keys(t.sections || {})) {
+      if (!seen.has(id)) problems.push(`/translations/${locale}/sections: no section with id "${id}"`);
+    }
+    for (const repo of Object.keys(t.featured || {})) {
+      if (!featured.has(repo.toLowerCase())) problems.push(`/translations/${locale}/featured: "${repo}" is not in featured`);
+    }
+  }
+  if (problems.length) throw new PortfolioConfigError(path.basename(file), problems);
+  return { file, config };
+}
+
+export default function portfolioConfig({ file, config }) {
+  let current = config;
+  return {
+    name: "portfolio-config",
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+    load(id) {
+      if (id === RESOLVED_ID) return `export default ${JSON.stringify(current)};`;
+    },
+    transformIndexHtml(html) {
+      if (!current.title) return html;
+      const title = current.title.replace(/[&<>]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" })[c]);
+      return html.replace(/<title>.*<\/title>/, `<title>${title}</title>`);
+    },
+    configureServer(server) {
+      server.watcher.add(file);
+      server.watcher.on("change", changed => {
+        if (path.resolve(changed) !== file) return;
+        try {
+          current = loadPortfolioConfig(path.dirname(file)).config;
+        } catch (e) {
+          server.config.logger.error(e.message);
+          return;
+        }
+        const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (mod) server.moduleGraph.invalidateModule(mod);
+        server.ws.send({ type: "full-reload" });
+      });
+    },
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Build-time HTML for crawlers, link previews and visitors without JavaScript.
+ * Fills #root with a static profile, about/contact sections and repo list built
+ * from the portfolio config and the GitHub snapshot, and adds OpenGraph, Twitter
+ * card and JSON-LD (`Person` + one `SoftwareSourceCode` per repo) tags to <head>.
+ * The React app replaces #root when it mounts, so none of this has to hydrate.
+ *
+ * Needs the github-snapshot plugin, whose `api.snapshot` it reads. When the
+ * notes plugin is present its posts are rendered in full under #notes; when the
+ * og-image plugin is, the preview tags use its card instead of the avatar.
+ */
+const escapeHtml = s => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+// JSON inside <script> must not be able to close the tag
+const escapeJson = value => JSON.stringify(value).replace(/</g, "\\u003c");
+
+function visibleRepos(snapshot) {
+  return (snapshot.repos || [])
+    .filter(r => !r.fork)
+    .sort((a, b) => (b.stargazers_count - a.stargazers_count) || (Date.parse(b.updated_at) || 0) - (Date.parse(a.updated_at) || 0));
+}
+
+function absolute(url, base) {
+  if (!url || !base) return url;
+  try { return new URL(url, base).href; } catch { return url; }
+}
+
+function describe(config, profile) {
+  return config.bio || profile.bio || config.tagline || "";
+}
+
+/**
+ * @param {{ image?: string, size?: [number, number] }} [card] the og-image plugin's
+ *   preview image, used when `config.url` makes it absolute (crawlers need that)
+ */
+export function metaTags(config, snapshot, card = {}) {
+  const profile = snapshot.profile || {};
+  const title = config.title || config.name;
+  const description = describe(config, profile);
+  const large = !!(card.image && config.url);
+  const image = large ? absolute(card.image, config.url) : profile.avatar_url;
+  const tags = [
+    ["name", "description", description],
+    ["property", "og:type", "profile"],
+    ["property", "og:title", title],
+    ["property", "og:description", description],
+    ["property", "og:url", config.url],
+    ["property", "og:image", image],
+    ["property", "og:image:width", large && String(card.size[0])],
+    ["property", "og:image:height", large && String(card.size[1])],
+    ["property", "profile:username", profile.login || config.github.user],
+    ["name", "twitter:card", large ? "summary_large_image" : "summary"],
+    ["name", "twitter:title", title],
+    ["name", "twitter:description", description],
+    ["name", "twitter:image", image],
+  ];
+  const lines = tags.filter(([, , content]) => content).map(([attr, key, content]) => `<meta ${attr}="${key}" content="${escapeHtml(content)}" />`);
+  if (config.url) lines.unshift(`<link rel="canonical" href="${escapeHtml(config.url)}" />`);
+  return lines;
+}
+
+export function structuredData(config, snapshot) {
+  const profile = snapshot.profile || {};
+  const personId = `${config.url || profile.html_url || `https://github.com/${config.github.user}`}#person`;
+  const sameAs = [profile.html_url, profile.blog, ...(config.links || []).map(l => l.href)]
+    .filter(href => /^https?:/.test(href || ""));
+  const person = {
+    "@type": "Person",
+    "@id": personId,
+    name: profile.name || config.name,
+    alternateName: profile.login,
+    jobTitle: config.tagline,
+    description: describe(config, profile),
+    image: profile.avatar_url,
+    url: config.url || profile.blog || profile.html_url,
+    sameAs: [...new Set(sameAs)],
+    ...(profile.location && { address: { "@type": "PostalAddress", addressLocality: profile.location } }),
+  };
+  const code = visibleRepos(snapshot).map(r => ({
+    "@type": "SoftwareSourceCode",
+    name: r.name,
+    description: r.description || undefined,
+    codeRepository: r.html_url,
+    url: absolute(`?repo=${encodeURIComponent(r.name)}`, config.url) || r.html_url,
+    programmingLanguage: Object.keys(r.languages || {}).length ? Object.keys(r.languages) : r.language || undefined,
+    keywords: r.topics?.length ? r.topics.join(", ") : undefined,
+    license: r.license?.spdx_id && r.license.spdx_id !== "NOASSERTION" ? `https://spdx.org/licenses/${r.license.spdx_id}` : undefined,
+    dateCreated: r.created_at || undefined,
+    dateModified: r.updated_at || undefined,
+    author: { "@id": personId },
+  }));
+  return { "@context": "https://schema.org", "@graph": [person, ...code] };
+}
+
+// ---------------- Static body ----------------
+const SECTION_BODIES = {
+  text: s => `${s.paragraphs.map(p => `<p class="mt-3 opacity-90 text-sm leading-relaxed">${escapeHtml(p)}</p>`).join("")}${
+    (s.links || []).map(l => `<a class="mt-4 mr-3 inline-block underline" href="${escapeHtml(l.href)}">${escapeHtml(l.label)}</a>`).join("")}`,
+  contact: s => `<dl class="mt-3 space-y-1 text-sm">${s.rows.map(r => `<div class="flex gap-2"><dt class="opacity-70 w-28">$ ${escapeHtml(r.label)}</dt><dd>${
+    r.href ? `<a class="underline" href="${escapeHtml(r.href)}">${escapeHtml(r.value)}</a>` : escapeHtml(r.value)}</dd></div>`).join("")}</dl>`,
+  cards: s => s.cards.map(c => `<h3 class="mt-4 font-semibold">&gt; ${escapeHtml(c.title)}</h3><p class="mt-1 opacity-80 text-sm leading-relaxed">${escapeHtml(c.text)}</p>`).join(""),
+};
+
+// Featured repos (config `featured`) first, in config order, like the live list.
+function pinFeatured(repos, featured = []) {
+  const rank = new Map(featured.map((f, i) => [f.repo.toLowerCase(), i]));
+  const at = r => rank.get(r.name.toLowerCase()) ?? Infinity;
+  return [...repos].sort((a, b) => at(a) - at(b));
+}
+
+function featuredExtras(f) {
+  if (!f) return "";
+  return `${f.role ? `<p class="mt-1 text-xs">${escapeHtml(f.role)}</p>` : ""}${
+    f.highlights?.length ? `<ul class="mt-2 text-sm">${f.highlights.map(h => `<li>▸ ${escapeHtml(h)}</li>`).join("")}</ul>` : ""}${
+    (f.store || []).map(l => `<a class="mt-2 mr-3 inline-block underline text-xs" href="${escapeHtml(l.href)}">${escapeHtml(l.label)}</a>`).join("")}`;
+}
+
+function repoItem(r, featured) {
+  const f = featured?.find(x => x.repo.toLowerCase() === r.name.toLowerCase());
+  const meta = [r.language, ...(f?.stack || []), r.stargazers_count ? `★ ${r.stargazers_count}` : null, ...(r.topics || []).slice(0, 3).map(t => `#${t}`)].filter(Boolean);
+  return `<li class="rounded-xl border ${f ? "border-accent/50" : "border-accent/20"} p-4"><h3 class="font-semibold"><a href="?repo=${encodeURIComponent(r.name)}">${escapeHtml(r.name)}</a></h3>${
+    r.description ? `<p class="mt-1 text-sm opacity-80">${escapeHtml(r.description)}</p>` : ""}${featuredExtras(f)}${
+    meta.length ? `<p class="mt-2 text-xs opacity-60">${escapeHtml([...new Set(meta)].join(" · "))}</p>` : ""}</li>`;
+}
+
+function noteArticle(n) {
+  return `<article id="note-${escapeHtml(n.slug)}" class="mt-6"><h3 class="font-semibold"><a href="?note=${encodeURIComponent(n.slug)}">${escapeHtml(n.title)}</a></h3>${
+    `<p class="text-xs opacity-60"><time datetime="${n.date}">${n.date}</time>${n.tags.map(t => ` · #${escapeHtml(t)}`).join("")}</p>`}<div class="markdown mt-2">${n.html}</div></article>`;
+}
+
+export function staticBody(config, snapshot, notes = []) {
+  const profile = snapshot.profile || {};
+  const sections = config.sections.map(s => `<section id="${escapeHtml(s.id)}" class="mt-10"><h2 class="text-accent">${escapeHtml(s.title)}</h2>${SECTION_BODIES[s.kind](s)}</section>`);
+  return `<div class="mx-auto max-w-4xl px-4 py-10 font-mono">
+  <header class="flex items-center gap-4">
+    ${profile.avatar_url ? `<img src="${escapeHtml(profile.avatar_url)}" alt="" width="64" height="64" class="h-16 w-16 rounded-xl" />` : ""}
+    <div><h1 class="text-2xl font-semibold">${escapeHtml(profile.name || config.name)}</h1><p class="opacity-70">${escapeHtml(describe(config, profile))}</p></div>
+  </header>
+  <section id="projects" class="mt-10"><h2 class="text-accent">~ ▶ projects</h2><ul class="mt-3 grid sm:grid-cols-2 gap-3">${pinFeatured(visibleRepos(snapshot), config.featured).map(r => repoItem(r, config.featured)).join("")}</ul></section>
+  ${notes.length ? `<section id="notes" class="mt-10"><h2 class="text-accent">~/notes</h2>${notes.map(noteArticle).join("")}</section>` : ""}
+  ${sections.join("\n  ")}
+</div>`;
+}
+
+export default function prerender({ config }) {
+  let snapshotApi, notesApi, imageApi;
+  return {
+    name: "prerender",
+    apply: "build",
+    configResolved(resolved) {
+      snapshotApi = resolved.plugins.find(p => p.name === "github-snapshot")?.api;
+      if (!snapshotApi) throw new Error("[prerender] the github-snapshot plugin is required");
+      notesApi = resolved.plugins.find(p => p.name === "notes")?.api;
+      imageApi = resolved.plugins.find(p => p.name === "og-image")?.api;
+    },
+    transformIndexHtml: {
+      order: "post",
+      handler(html) {
+        const snapshot = snapshotApi.snapshot;
+        const head = [...metaTags(config, snapshot, imageApi), `<script type="application/ld+json">${escapeJson(structuredData(config, snapshot))}</script>`];
+        return html
+          .replace(/\n(\s*)<\/head>/, (_, indent) => `\n${indent}  ${head.join(`\n${indent}  `)}\n${indent}</head>`)
+          .replace('<div id="root"></div>', `<div id="root">${staticBody(config, snapshot, notesApi?.notes)}</div>`);
+      },
+    },
+  };
+}
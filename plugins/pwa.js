@@ -0,0 +1,239 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import zlib from "node:zlib";
+import bn from "../src/locales/bn.js";
+import en from "../src/locales/en.js";
+import { DEFAULT_THEME, THEMES } from "../src/themes.js";
+
+/**
+ * Makes the production build an installable PWA: emits `manifest.webmanifest`,
+ * PNG icons drawn from the default theme, `offline.html` and `sw.js` (built from
+ * plugins/service-worker.js), and links the manifest from index.html. The page
+ * registers the worker and shows the update prompt (src/UpdatePrompt.jsx).
+ *
+ * The offline page is plain HTML with the built stylesheet and a small script
+ * that renders the profile and repos from the page's GitHub cache in
+ * localStorage (see src/github.js), or from the precached build snapshot.
+ */
+const WORKER = new URL("./service-worker.js", import.meta.url);
+const OFFLINE_PAGE = "offline.html";
+const ICONS = [
+  { src: "icon-192.png", sizes: "192x192", size: 192, purpose: "any" },
+  { src: "icon-512.png", sizes: "512x512", size: 512, purpose: "any" },
+  { src: "icon-maskable-512.png", sizes: "512x512", size: 512, purpose: "maskable" },
+];
+// never precached: feeds and the link-preview image are for readers and crawlers, not
+// the app, and the worker can't cache itself
+const SKIP = /(^|\/)(sw\.js|feed\.xml|atom\.xml|og-image\.png)$|\.map$/;
+
+const escapeHtml = s => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+const escapeJson = value => JSON.stringify(value).replace(/</g, "\\u003c");
+
+// ---------------- Icons ----------------
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length);
+  head.write(type, 4, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])));
+  return Buffer.concat([head, data, crc]);
+}
+
+function encodePng(size, rgb) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(size, 0);
+  ihdr.writeUInt32BE(size, 4);
+  ihdr.set([8, 2, 0, 0, 0], 8); // 8-bit RGB, no interlace
+  const rows = Buffer.alloc(size * (size * 3 + 1));
+  for (let y = 0; y < size; y++) rgb.copy(rows, y * (size * 3 + 1) + 1, y * size * 3, (y + 1) * size * 3);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(rows)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+const hex = c => [1, 3, 5].map(i => parseInt(c.slice(i, i + 2), 16));
+
+/**
+ * The scene in one glyph: a planet with a tilted ring on the surface colour.
+ * Maskable icons keep it inside the 80% safe zone.
+ */
+export function iconPng(size, theme, { maskable = false } = {}) {
+  const [bg, planet, ring] = [theme.ui.surface, theme.scene.primary, theme.ui.accent].map(hex);
+  const scale = maskable ? 0.72 : 1;
+  const r = 0.24 * scale, a = 0.44 * scale, b = 0.12 * scale, band = 0.1;
+  const cos = Math.cos(-0.35), sin = Math.sin(-0.35);
+  const colorAt = (x, y) => {
+    const rx = x * cos - y * sin, ry = x * sin + y * cos;
+    const onRing = Math.abs(Math.hypot(rx / a, ry / b) - 1) < band;
+    const onPlanet = Math.hypot(x, y) < r;
+    if (onRing && (ry > 0 || !onPlanet)) return ring; // the far half of the ring goes behind the planet
+    if (onPlanet) return planet;
+    return bg;
+  };
+  const rgb = Buffer.alloc(size * size * 3);
+  const samples = [0.25, 0.75];
+  for (let py = 0; py < size; py++) {
+    for (let px = 0; px < size; px++) {
+      const sum = [0, 0, 0];
+      for (const sy of samples) for (const sx of samples) {
+        const c = colorAt((px + sx) / size - 0.5, (py + sy) / size - 0.5);
+        sum[0] += c[0]; sum[1] += c[1]; sum[2] += c[2];
+      }
+      rgb.set(sum.map(v => Math.round(v / 4)), (py * size + px) * 3);
+    }
+  }
+  return encodePng(size, rgb);
+}
+
+// ---------------- Manifest & offline page ----------------
+export function webManifest(config, base) {
+  const theme = THEMES[DEFAULT_THEME];
+  return {
+    name: config.title || config.name,
+    short_name: config.name,
+    description: config.tagline || config.bio || "",
+    start_url: base,
+    scope: base,
+    display: "standalone",
+    background_color: theme.ui.surface,
+    theme_color: theme.ui.surface,
+    icons: ICONS.map(({ src, sizes, purpose }) => ({ src: base + src, sizes, type: "image/png", purpose })),
+  };
+}
+
+const OFFLINE_KEYS = ["offline.title", "offline.lastSeen", "offline.nothing", "offline.retry", "offline.projects"];
+const pick = messages => Object.fromEntries(OFFLINE_KEYS.map(k => [k, messages[k] ?? en[k]]));
+
+// Runs in the browser, so it only uses what offline.html inlines next to it.
+function renderOffline({ api, snapshotUrl, messages }) {
+  const esc = s => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+  let locale = "en";
+  try { locale = localStorage.getItem("portfolio:locale") || (navigator.language || "").slice(0, 2); } catch (e) { /* private mode */ }
+  const m = messages[locale] || messages.en;
+  document.documentElement.lang = messages[locale] ? locale : "en";
+  document.title = m["offline.title"];
+  document.getElementById("retry").textContent = m["offline.retry"];
+  document.querySelector("#projects h2").textContent = m["offline.projects"];
+
+  // same keys as the page's cache in src/github.js
+  const read = url => { try { return JSON.parse(localStorage.getItem("gh-cache:" + url)); } catch (e) { return null; } };
+  function cachedPages(url) {
+    const data = [];
+    let savedAt = Infinity;
+    for (let page = read(url); page; page = page.next && read(page.next)) { data.push(...page.data); savedAt = Math.min(savedAt, page.savedAt); }
+    return data.length ? { data, savedAt } : null;
+  }
+
+  function render(profile, repos, savedAt) {
+    const list = repos.filter(r => !r.fork).sort((a, b) => (b.stargazers_count - a.stargazers_count) || Date.parse(b.updated_at) - Date.parse(a.updated_at));
+    document.getElementById("last-seen").textContent = m["offline.lastSeen"].replace("{date}", new Date(savedAt).toLocaleString(locale));
+    document.getElementById("profile").innerHTML = `${profile.avatar_url ? `<img src="${esc(profile.avatar_url)}" alt="" width="64" height="64" class="h-16 w-16 rounded-xl" />` : ""}<div><h2 class="text-xl font-semibold">${esc(profile.name || profile.login)}</h2><p class="opacity-70">${esc(profile.bio)}</p></div>`;
+    document.getElementById("repos").innerHTML = list.map(r => `<li class="rounded-xl border border-accent/20 p-4"><h3 class="font-semibold"><a href="${esc(r.html_url)}">${esc(r.name)}</a></h3>${
+      r.description ? `<p class="mt-1 text-sm opacity-80">${esc(r.description)}</p>` : ""}<p class="mt-2 text-xs opacity-60">${esc([r.language, r.stargazers_count ? "★ " + r.stargazers_count : null].filter(Boolean).join(" · "))}</p></li>`).join("");
+    document.getElementById("projects").hidden = !list.length;
+  }
+
+  const profile = read(api.user);
+  const repos = cachedPages(api.repos);
+  if (profile && repos) { render(profile.data, repos.data, Math.min(profile.savedAt, repos.savedAt)); return; }
+  fetch(snapshotUrl)
+    .then(res => res.json())
+    .then(snap => render(snap.profile || {}, snap.repos || [], snap.generatedAt))
+    .catch(() => { document.getElementById("last-seen").textContent = m["offline.nothing"]; });
+}
+
+export function offlinePage(config, { base, stylesheets }) {
+  const user = config.github.user;
+  const data = {
+    api: { user: `https://api.github.com/users/${user}`, repos: `https://api.github.com/users/${user}/repos?per_page=100&sort=updated` },
+    snapshotUrl: `${base}github-snapshot.json`,
+    messages: { en: pick(en), bn: pick(bn) },
+  };
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(en["offline.title"])}</title>
+    <meta name="theme-color" content="${THEMES[DEFAULT_THEME].ui.surface}" />
+${stylesheets.map(href => `    <link rel="stylesheet" href="${escapeHtml(href)}" />\n`).join("")}    <script>
+      try { var t = localStorage.getItem("portfolio:theme"); if (t) document.documentElement.dataset.theme = t; } catch (e) {}
+    </script>
+  </head>
+  <body class="bg-surface text-fg">
+    <div class="mx-auto max-w-4xl px-4 py-10 font-mono">
+      <header>
+        <h1 class="text-2xl font-semibold">${escapeHtml(config.name)}</h1>
+        <p id="last-seen" class="mt-2 text-sm opacity-70"></p>
+        <button id="retry" onclick="location.reload()" class="mt-3 px-3 py-1 rounded-xl border border-accent/30 text-xs hover:bg-accent/10"></button>
+      </header>
+      <div id="profile" class="mt-8 flex items-center gap-4"></div>
+      <section id="projects" class="mt-10" hidden><h2 class="text-accent"></h2><ul id="repos" class="mt-3 grid sm:grid-cols-2 gap-3"></ul></section>
+    </div>
+    <script>
+      (${renderOffline.toString()})(${escapeJson(data)});
+    </script>
+  </body>
+</html>
+`;
+}
+
+export default function pwa({ config }) {
+  let base;
+  return {
+    name: "pwa",
+    apply: "build",
+    configResolved(resolved) {
+      base = resolved.base;
+    },
+    transformIndexHtml() {
+      return [
+        { tag: "link", attrs: { rel: "manifest", href: `${base}manifest.webmanifest` }, injectTo: "head" },
+        { tag: "meta", attrs: { name: "theme-color", content: THEMES[DEFAULT_THEME].ui.surface }, injectTo: "head" },
+        { tag: "link", attrs: { rel: "icon", type: "image/png", sizes: "192x192", href: `${base}icon-192.png` }, injectTo: "head" },
+        { tag: "link", attrs: { rel: "apple-touch-icon", href: `${base}icon-192.png` }, injectTo: "head" },
+      ];
+    },
+    generateBundle: {
+      // after the other plugins have emitted their files, so they get precached too
+      order: "post",
+      handler(_, bundle) {
+        const theme = THEMES[DEFAULT_THEME];
+        for (const icon of ICONS) {
+          this.emitFile({ type: "asset", fileName: icon.src, source: iconPng(icon.size, theme, { maskable: icon.purpose === "maskable" }) });
+        }
+        this.emitFile({ type: "asset", fileName: "manifest.webmanifest", source: JSON.stringify(webManifest(config, base), null, 2) });
+        const stylesheets = Object.keys(bundle).filter(f => f.endsWith(".css")).map(f => base + f);
+        this.emitFile({ type: "asset", fileName: OFFLINE_PAGE, source: offlinePage(config, { base, stylesheets }) });
+
+        const files = Object.keys(bundle).filter(f => f !== "index.html" && !SKIP.test(f)).sort();
+        const hash = crypto.createHash("sha256");
+        for (const f of files) {
+          const item = bundle[f];
+          hash.update(f).update(item.type === "chunk" ? item.code : item.source);
+        }
+        const header = [
+          `const VERSION = ${JSON.stringify(hash.digest("hex").slice(0, 12))};`,
+          `const PRECACHE = ${JSON.stringify(files.map(f => base + f), null, 2)};`,
+          `const OFFLINE_URL = ${JSON.stringify(base + OFFLINE_PAGE)};`,
+        ];
+        this.emitFile({ type: "asset", fileName: "sw.js", source: `${header.join("\n")}\n${fs.readFileSync(WORKER, "utf8")}` });
+      },
+    },
+  };
+}
@@ -0,0 +1,85 @@
+/* global VERSION, PRECACHE, OFFLINE_URL */
+/**
+ * Service worker template. plugins/pwa.js prepends VERSION (a hash of the
+ * precached files), PRECACHE (their URLs) and OFFLINE_URL and emits it as sw.js.
+ *
+ *   built assets, icons, snapshot → precached on install, served cache-first
+ *   scene fonts (troika's CDN)    → cached on first use, served cache-first
+ *   GitHub API                    → network-first, last good response when offline,
+ *                                   stamped with X-SW-Cached-At (read by src/github.js)
+ *   page navigations              → network-first, offline.html when offline
+ *
+ * A new version installs in the background and waits; the page shows an
+ * "update available" prompt and posts SKIP_WAITING when the visitor accepts.
+ */
+const PRECACHE_NAME = `portfolio-precache-${VERSION}`;
+const FONT_CACHE = "portfolio-fonts";
+const API_CACHE = "portfolio-github-api-2"; // -2: entries carry X-SW-Cached-At
+const CACHED_AT = "X-SW-Cached-At";
+const FONT_HOSTS = ["https://cdn.jsdelivr.net/gh/lojjic/unicode-font-resolver@"];
+const GITHUB_API = "https://api.github.com/";
+
+self.addEventListener("install", event => {
+  event.waitUntil(caches.open(PRECACHE_NAME).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key.startsWith("portfolio-precache-") && key !== PRECACHE_NAME) await caches.delete(key);
+      if (key.startsWith("portfolio-github-api") && key !== API_CACHE) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", event => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+async function cacheFirst(request, cacheName) {
+  const hit = await caches.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok && cacheName) (await caches.open(cacheName)).put(request, res.clone());
+  return res;
+}
+
+async function networkFirst(request) {
+  try {
+    const res = await fetch(request);
+    // a 304 answers the page's own ETag cache and has no body worth keeping;
+    // authorized responses may hold data the visitor shouldn't see offline later
+    if (res.status === 200 && !request.headers.has("Authorization")) {
+      // stamped so the page can tell a replay from a fresh answer and keep its age
+      const headers = new Headers(res.headers);
+      headers.set(CACHED_AT, String(Date.now()));
+      (await caches.open(API_CACHE)).put(request, new Response(res.clone().body, { status: 200, headers }));
+    }
+    return res;
+  } catch (e) {
+    // GitHub varies on Accept/Authorization; any cached copy beats an error
+    const hit = await caches.match(request, { cacheName: API_CACHE, ignoreVary: true });
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+async function navigate(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    return (await caches.match(OFFLINE_URL)) || Response.error();
+  }
+}
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = request.url;
+
+  if (request.mode === "navigate") event.respondWith(navigate(request));
+  else if (url.startsWith(GITHUB_API)) event.respondWith(networkFirst(request));
+  else if (FONT_HOSTS.some(host => url.startsWith(host))) event.respondWith(cacheFirst(request, FONT_CACHE));
+  else if (new URL(url).origin === self.location.origin) event.respondWith(cacheFirst(request));
+});
@@ -0,0 +1,90 @@
+import { Html } from "@react-three/drei";
+import React, { useMemo, useState } from "react";
+import { dayKey } from "./github.js";
+import { useI18n } from "./i18n.jsx";
+import { useSceneTheme } from "./theme.jsx";
+
+/**
+ * 3D contribution calendar: one extruded bar per day over the last `weeks`
+ * weeks, standing on the GridFloor behind the centre piece. Columns are weeks,
+ * rows are weekdays (Sunday at the back), as on a GitHub profile. The five
+ * intensity colours come from the theme's `activity` ramp.
+ */
+const CELL = 0.42;
+const BAR = 0.34;
+const MAX_HEIGHT = 2.4;
+
+function level(total, max) {
+  if (!total) return 0;
+  return Math.min(4, Math.ceil((total / max) * 4));
+}
+
+function buildGrid(days, weeks) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const start = new Date(today);
+  start.setDate(today.getDate() - today.getDay() - (weeks - 1) * 7);
+  const cells = [];
+  for (let w = 0; w < weeks; w++) {
+    for (let d = 0; d < 7; d++) {
+      const date = new Date(start);
+      date.setDate(start.getDate() + w * 7 + d);
+      if (date > today) continue;
+      const key = dayKey(date);
+      cells.push({ key, date, w, d, ...(days[key] || { pushes: 0, prs: 0, issues: 0, other: 0, total: 0 }) });
+    }
+  }
+  return cells;
+}
+
+export default function ActivityCity({ days, weeks = 13, position = [0, -3.6, -7] }) {
+  const { activity: levels } = useSceneTheme();
+  const { t, formatDate } = useI18n();
+  const [hovered, setHovered] = useState(null);
+  const cells = useMemo(() => buildGrid(days, weeks), [days, weeks]);
+  const max = Math.max(1, ...cells.map(c => c.total));
+  const x0 = -((weeks - 1) * CELL) / 2;
+  const z0 = -3 * CELL;
+
+  return (
+    <group position={position}>
+      {cells.map(c => {
+        const h = 0.04 + (c.total / max) * MAX_HEIGHT;
+        const x = x0 + c.w * CELL;
+        const z = z0 + c.d * CELL;
+        const isHovered = hovered?.key === c.key;
+        return (
+          <mesh
+            key={c.key}
+            position={[x, h / 2, z]}
+            onPointerOver={e => { e.stopPropagation(); setHovered({ ...c, pos: [x, h + 0.3, z] }); }}
+            onPointerOut={() => setHovered(cur => (cur?.key === c.key ? null : cur))}
+          >
+            <boxGeometry args={[BAR, h, BAR]} />
+            <meshStandardMaterial
+              color={levels[level(c.total, max)]}
+              emissive={levels[level(c.total, max)]}
+              emissiveIntensity={isHovered ? 0.9 : 0.35}
+              transparent opacity={c.total ? 0.95 : 0.5}
+            />
+          </mesh>
+        );
+      })}
+      {hovered && (
+        <Html position={hovered.pos} center wrapperClass="pointer-events-none" zIndexRange={[20, 10]}>
+          <div className="whitespace-nowrap rounded-lg border border-accent/30 bg-panel/80 px-2 py-1 text-[11px] font-mono">
+            <div className="text-accent">{formatDate(hovered.date, { weekday: "short", month: "short", day: "numeric" })}</div>
+            {hovered.total ? (
+              <div className="opacity-90">
+                {t("activity.pushes", { count: hovered.pushes })} · {t("activity.prs", { count: hovered.prs })} · {t("activity.issues", { count: hovered.issues })}
+                {hovered.other > 0 && <span className="opacity-60">{t("activity.other", { count: hovered.other })}</span>}
+              </div>
+            ) : (
+              <div className="opacity-60">{t("activity.none")}</div>
+            )}
+          </div>
+        </Html>
+      )}
+    </group>
+  );
+}
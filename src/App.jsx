@@ -1,51 +1,54 @@
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
-import { Float, OrbitControls, Stars, Text, Html } from "@react-three/drei";
+import { Float, OrbitControls, PerformanceMonitor, Stars, Html } from "@react-three/drei";
 import * as THREE from "three";
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import notes from "virtual:notes";
+import config from "virtual:portfolio-config";
+import ActivityCity from "./ActivityCity.jsx";
+import { CameraRig, HOME_SHOT, IDLE_AFTER, TourCaption, buildTour, planetShot, useIdle, useTour } from "./CameraDirector.jsx";
+import ContactForm from "./ContactForm.jsx";
+import FeaturedBillboards from "./FeaturedBillboards.jsx";
+import { useActivity, useGitHubData, useLanguageBytes } from "./github.js";
+import { I18nContext, LOCALES, localizeConfig, useI18n } from "./i18n.jsx";
+import { aggregateLanguages, buildPlanets } from "./languages.js";
+import Notes, { NoteDetail } from "./Notes.jsx";
+import RepoDetail from "./RepoDetail.jsx";
+import { SceneDiagnostics, SceneErrorBoundary, useSceneGuard } from "./SceneGuard.jsx";
+import SceneText from "./SceneText.jsx";
+import { SnapshotRig, useSnapshot } from "./Snapshot.jsx";
+import StaticHero from "./StaticHero.jsx";
+import StatsPanel from "./StatsPanel.jsx";
+import Terminal from "./Terminal.jsx";
+import Typewriter3D from "./Typewriter3D.jsx";
+import { ThemeContext, useSceneTheme, useThemeState } from "./theme.jsx";
+import { THEMES } from "./themes.js";
+import TopicCloud, { useTopicCloudSetting } from "./TopicCloud.jsx";
+import { StatChip, TerminalWindow, inPage } from "./ui.jsx";
+import { MOTION_MODES, useMotion } from "./motion.js";
+import { mergeRepos, useSources } from "./providers/index.js";
+import { QUALITY_MODES, supportsWebGL, useInView, useQuality } from "./quality.js";
+import { ARCHIVED_MODES, SORT_MODES, facetCounts, queryRepos, withFeatured } from "./repoQuery.js";
+import { repoStats } from "./repoStats.js";
+import { DEFAULT_SNAPSHOT_SIZE, SNAPSHOT_SIZES } from "./snapshotCard.js";
+import UpdatePrompt from "./UpdatePrompt.jsx";
+import { hrefFor, useUrlState } from "./urlState.js";
 
 /**
  * Rejwan 3D Portfolio — React + @react-three/fiber
  * Neon terminal vibe + upgraded interactivity:
  * - Magnetic cursor light, planet magnetism, pulse rings on click
  * - Particle field, grid floor, code-rain HUD
- * - Typewriter 3D intro ("> whoami")
+ * - Scripted typewriter 3D intro ("> whoami"; Typewriter3D.jsx)
  * - Satellite orbiters follow active planet
+ * - Camera flies to a clicked planet; guided tour and idle attract mode (CameraDirector.jsx)
+ * - Featured repos float as picture billboards (FeaturedBillboards.jsx)
+ * - Stats panel with SVG charts and an optional 3D topic cloud (StatsPanel.jsx, TopicCloud.jsx)
+ * - Snapshots of the view as a PNG card, downloaded or shared (Snapshot.jsx, snapshotCard.js)
+ * Identity and content come from portfolio.config.yaml; colours from themes.js;
+ * UI strings from the catalogs in src/locales.
  */
-const GITHUB_USER = "iamrejwan";
-
-// ---------------- GitHub Data Hook ----------------
-function useGitHubData(username = GITHUB_USER) {
-  const [user, setUser] = useState(null);
-  const [repos, setRepos] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    let abort = new AbortController();
-    const headers = {};
-    if (window.GITHUB_TOKEN) headers["Authorization"] = `Bearer ${window.GITHUB_TOKEN}`;
-    async function run() {
-      try {
-        setLoading(true);
-        const u = await fetch(`https://api.github.com/users/${username}`, { headers, signal: abort.signal }).then(r => r.json());
-        const r = await fetch(`https://api.github.com/users/${username}/repos?per_page=100&sort=updated`, { headers, signal: abort.signal }).then(r => r.json());
-        if (u?.message === "Not Found") throw new Error("GitHub user not found");
-        setUser(u);
-        let list = Array.isArray(r) ? r.filter(x => !x.fork) : [];
-        list = list.map(x => ({
-          id: x.id, name: x.name, html_url: x.html_url, description: x.description,
-          stargazers_count: x.stargazers_count, language: x.language, updated_at: x.updated_at, topics: x.topics || []
-        }));
-        list.sort((a,b) => (b.stargazers_count - a.stargazers_count) || (new Date(b.updated_at) - new Date(a.updated_at)));
-        setRepos(list);
-      } catch (e) { setError(e.message); } finally { setLoading(false); }
-    }
-    run();
-    return () => abort.abort();
-  }, [username]);
-
-  return { user, repos, loading, error };
-}
+const GITHUB_USER = config.github.user;
+const INTRO_POSITION = [0, 2.2, 0];
 
 // ---------------- Utils ----------------
 function useCursorWorld() {
@@ -59,16 +62,18 @@ function useCursorWorld() {
 
 // ---------------- FX Components ----------------
 function CursorLight() {
+  const { primary } = useSceneTheme();
   const ref = useRef();
   const getWorld = useCursorWorld();
   useFrame(() => {
     const target = getWorld();
     ref.current.position.lerp(target, 0.12);
   });
-  return <pointLight ref={ref} intensity={2.2} distance={18} decay={2} color="#22d3ee" />;
+  return <pointLight ref={ref} intensity={2.2} distance={18} decay={2} color={primary} />;
 }
 
-function ParticleField({ count = 1200 }) {
+function ParticleField({ count = 1200, reduced = false }) {
+  const { particles } = useSceneTheme();
   const ref = useRef();
   const positions = useMemo(() => {
     const arr = new Float32Array(count * 3);
@@ -80,42 +85,45 @@ function ParticleField({ count = 1200 }) {
     return arr;
   }, [count]);
   useFrame((_, d) => {
-    ref.current.rotation.y += d * 0.02;
+    if (!reduced) ref.current.rotation.y += d * 0.02;
   });
   return (
-    <points ref={ref}>
+    <points ref={ref} key={count}>
       <bufferGeometry>
         <bufferAttribute attach='attributes-position' array={positions} itemSize={3} />
       </bufferGeometry>
-      <pointsMaterial size={0.06} sizeAttenuation color="#34d399" transparent opacity={0.5} />
+      <pointsMaterial size={0.06} sizeAttenuation color={particles} transparent opacity={0.5} />
     </points>
   );
 }
 
 function GridFloor() {
+  const { gridCenter, grid } = useSceneTheme();
   return (
     <group position={[0,-3.6,0]}>
-      <gridHelper args={[120, 80, "#14b8a6", "#0ea5e9"]} />
+      <gridHelper args={[120, 80, gridCenter, grid]} />
     </group>
   );
 }
 
-function SpinningKnot(props) {
+function SpinningKnot({ detail = [220, 32], wireDetail = [100, 16], reduced = false, ...props }) {
+  const { primary, secondary, highlight } = useSceneTheme();
   const ref = useRef();
   useFrame((_, d) => {
+    if (reduced) return;
     ref.current.rotation.x += d * 0.25;
     ref.current.rotation.y += d * 0.18;
   });
   return (
-    <Float floatIntensity={1.6} rotationIntensity={0.7} speed={1.1}>
+    <Float floatIntensity={1.6} rotationIntensity={0.7} speed={1.1} enabled={!reduced}>
       <group {...props}>
         <mesh ref={ref}>
-          <torusKnotGeometry args={[1.05, 0.28, 220, 32]} />
-          <meshStandardMaterial color="#22d3ee" metalness={0.5} roughness={0.15} emissive="#0ea5e9" emissiveIntensity={0.6} />
+          <torusKnotGeometry args={[1.05, 0.28, ...detail]} />
+          <meshStandardMaterial color={primary} metalness={0.5} roughness={0.15} emissive={secondary} emissiveIntensity={0.6} />
         </mesh>
         <mesh>
-          <torusKnotGeometry args={[1.08, 0.29, 100, 16]} />
-          <meshBasicMaterial wireframe color="#67e8f9" opacity={0.4} transparent />
+          <torusKnotGeometry args={[1.08, 0.29, ...wireDetail]} />
+          <meshBasicMaterial wireframe color={highlight} opacity={0.4} transparent />
         </mesh>
       </group>
     </Float>
@@ -139,13 +147,15 @@ function Glow({ position = [0,0,0], color = "#88ccff", radius = 2.6 }) {
   );
 }
 
-function PulseRing({ origin, onDone }) {
+function PulseRing({ origin, onDone, reduced = false }) {
+  const { primary } = useSceneTheme();
   const ref = useRef();
   const t0 = useRef(performance.now());
   useFrame(() => {
     const t = (performance.now() - t0.current) / 1000;
-    const s = 1 + t * 5; // expand
-    const a = Math.max(0, 0.5 - t * 0.45); // fade
+    // reduced motion: fade in and out in place instead of expanding
+    const s = reduced ? 1.6 : 1 + t * 5; // expand
+    const a = reduced ? 0.5 * Math.sin(Math.min(1, t / 1.2) * Math.PI) : Math.max(0, 0.5 - t * 0.45); // fade
     ref.current.scale.setScalar(s);
     ref.current.material.opacity = a;
     if (t > 1.2) onDone?.();
@@ -153,17 +163,18 @@ function PulseRing({ origin, onDone }) {
   return (
     <mesh position={origin} ref={ref} rotation={[-Math.PI/2,0,0]}> 
       <ringGeometry args={[0.8, 0.82, 64]} />
-      <meshBasicMaterial color="#22d3ee" transparent />
+      <meshBasicMaterial color={primary} transparent />
     </mesh>
   );
 }
 
-function Orbiters({ targetRef, active }) {
+function Orbiters({ targetRef, active, reduced = false }) {
+  const { orbiters } = useSceneTheme();
   const a = useRef(0);
   const s1 = useRef();
   const s2 = useRef();
   useFrame((_, d) => {
-    a.current += d * 1.2;
+    if (!reduced) a.current += d * 1.2;
     const base = new THREE.Vector3();
     if (targetRef?.current) targetRef.current.getWorldPosition(base);
     const r1 = 2.2, r2 = 3.2;
@@ -175,23 +186,26 @@ function Orbiters({ targetRef, active }) {
     <group>
       <mesh ref={s1}>
         <sphereGeometry args={[0.12, 16, 16]} />
-        <meshStandardMaterial color="#a7f3d0" emissive="#34d399" emissiveIntensity={0.6} />
+        <meshStandardMaterial color={orbiters[0]} emissive={orbiters[1]} emissiveIntensity={0.6} />
       </mesh>
       <mesh ref={s2}>
         <sphereGeometry args={[0.09, 16, 16]} />
-        <meshStandardMaterial color="#67e8f9" emissive="#22d3ee" emissiveIntensity={0.6} />
+        <meshStandardMaterial color={orbiters[2]} emissive={orbiters[3]} emissiveIntensity={0.6} />
       </mesh>
     </group>
   );
 }
 
-const Planet = React.forwardRef(function Planet({ label, color = "#fff", position = [0, 0, 0], onActivate, active }, ref) {
+const Planet = React.forwardRef(function Planet({ label, share, color = "#fff", radius = 1.2, detail = 1, shadows = true, position = [0, 0, 0], onActivate, active, focused, reduced = false }, ref) {
+  const { text } = useSceneTheme();
+  const { formatPercent } = useI18n();
   const local = useRef();
   const hover = useRef(false);
   const getWorld = useCursorWorld();
   useFrame((_, d) => {
-    const targetScale = hover.current || active ? 1.18 : 1.0;
+    const targetScale = hover.current || active || focused ? 1.18 : 1.0;
     local.current.scale.lerp(new THREE.Vector3(targetScale, targetScale, targetScale), 0.12);
+    if (reduced) return;
     const world = getWorld();
     const here = local.current.position.clone();
     const dir = world.clone().sub(here).multiplyScalar(0.0025);
@@ -204,400 +218,622 @@ const Planet = React.forwardRef(function Planet({ label, color = "#fff", positio
   };
   return (
     <group ref={ref} position={position}>
-      <Glow position={[0,0,0]} color={color} radius={active ? 3.1 : 2.6} />
+      <Glow position={[0,0,0]} color={color} radius={radius * (active || focused ? 2.6 : 2.2)} />
       <mesh
         ref={local}
         onPointerOver={() => (hover.current = true)}
         onPointerOut={() => (hover.current = false)}
         onClick={handleClick}
-        castShadow receiveShadow
+        castShadow={shadows} receiveShadow={shadows}
       >
-        <icosahedronGeometry args={[1.2, 1]} />
+        <icosahedronGeometry args={[radius, detail]} />
         <meshStandardMaterial color={color} metalness={0.4} roughness={0.25} emissive={color} emissiveIntensity={0.25} />
       </mesh>
       <mesh>
-        <icosahedronGeometry args={[1.205, 2]} />
+        <icosahedronGeometry args={[radius * 1.004, detail + 1]} />
         <meshBasicMaterial wireframe color={"white"} opacity={0.15} transparent />
       </mesh>
-      <Text fontSize={0.42} position={[0, -1.8, 0]} anchorX="center" anchorY="middle" maxWidth={4}>
+      <SceneText fontSize={0.42} position={[0, -radius - 0.6, 0]} anchorX="center" anchorY="middle" maxWidth={4} color={text}>
         {label}
-      </Text>
+      </SceneText>
+      {share != null && (
+        <SceneText fontSize={0.24} position={[0, -radius - 1.0, 0]} anchorX="center" anchorY="middle" fillOpacity={0.7} color={text}>
+          {formatPercent(share)}
+        </SceneText>
+      )}
     </group>
   );
 });
 
-function Header3D({ name = "REJWAN", tagline = "Full Stack Android Developer" }) {
+function Header3D({ name = "REJWAN", tagline = "Full Stack Android Developer", reduced = false }) {
+  const { text } = useSceneTheme();
   const group = useRef();
   useFrame(({ mouse }) => {
     if (!group.current) return;
+    if (reduced) { group.current.rotation.set(0, 0, 0); return; }
     group.current.rotation.y = THREE.MathUtils.lerp(group.current.rotation.y, mouse.x * 0.2, 0.05);
     group.current.rotation.x = THREE.MathUtils.lerp(group.current.rotation.x, -mouse.y * 0.2, 0.05);
   });
   return (
     <group ref={group} position={[0, 1.2, 0]}>
-      <Text fontSize={1.05} anchorX="center" anchorY="middle">
+      <SceneText fontSize={1.05} anchorX="center" anchorY="middle" color={text}>
         {name.toUpperCase()}
-      </Text>
-      <Text fontSize={0.34} position={[0, -0.9, 0]}>
+      </SceneText>
+      <SceneText fontSize={0.34} position={[0, -0.9, 0]} color={text}>
         {tagline}
-      </Text>
-    </group>
-  );
-}
-
-// ---------------- Typewriter 3D Intro ----------------
-function Typewriter3D({ lines = ["> whoami", "Rejwan — Full Stack Android Developer"], position = [0, 2.2, 0], color = "#22d3ee" }) {
-  const [i, setI] = useState(0);
-  const [j, setJ] = useState(0);
-  const [visibleLines, setVisibleLines] = useState([""]);
-  const group = useRef();
-  const speed = 28; // chars per second
-  const lineDelay = 0.6; // seconds between lines
-  const t0 = useRef(performance.now());
-
-  useFrame(() => {
-    if (group.current) {
-      group.current.position.lerp(new THREE.Vector3(position[0], position[1] + 0.25, position[2]), 0.06);
-      group.current.scale.lerp(new THREE.Vector3(1,1,1), 0.08);
-    }
-  });
-
-  useEffect(() => {
-    let raf;
-    const tick = () => {
-      setVisibleLines(ls => {
-        const cur = lines[i] || "";
-        const next = cur.slice(0, j);
-        const newLs = [...ls];
-        newLs[i] = next + ((Date.now() % 700) < 350 ? "_" : " ");
-        return newLs;
-      });
-      setJ(prev => prev + Math.max(1, Math.round(speed / 30)));
-
-      if (j >= (lines[i] || "").length + 2) { // pause at end
-        if (i < lines.length - 1) {
-          setTimeout(() => {
-            setI(i + 1);
-            setJ(0);
-            setVisibleLines(v => [...v, ""]);
-          }, lineDelay * 1000);
-        } else {
-          cancelAnimationFrame(raf);
-          return;
-        }
-      }
-      raf = requestAnimationFrame(tick);
-    };
-    raf = requestAnimationFrame(tick);
-    return () => cancelAnimationFrame(raf);
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [i, j]);
-
-  return (
-    <group ref={group} position={position} scale={[0.98,0.98,0.98]}>
-      {visibleLines.map((txt, idx) => (
-        <Text key={idx} fontSize={idx === 0 ? 0.36 : 0.32} position={[0, -idx*0.42, 0]} anchorX="center" anchorY="middle" color={color}>
-          {txt}
-        </Text>
-      ))}
+      </SceneText>
     </group>
   );
 }
 
 // ---------------- HUD / UI ----------------
-function CodeRain() {
+function CodeRain({ columns = 28, paused = false, still = false }) {
+  const cols = useMemo(() => Array.from({length: columns}).map((_,i)=>{
+    const dur = 6 + Math.random()*6; const left = (i/columns)*100; const delay = -Math.random()*dur;
+    const chars = "01<>\\/={}[]();$#@*&^%";
+    const lines = Array.from({length: 40}).map(()=> chars[Math.floor(Math.random()*chars.length)]).join("\\n");
+    return { dur, left, delay, lines };
+  }), [columns]);
   return (
     <Html fullscreen zIndexRange={[0, 0]}>
       <style>{`
         .rain { position: absolute; inset: 0; pointer-events:none; mix-blend-mode: screen; opacity:.12; font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Courier New", monospace; }
-        .col { position:absolute; top:-110%; width:1.2ch; color:#10b981; text-shadow:0 0 8px #10b981; animation: fall linear infinite; white-space:pre; }
+        .col { position:absolute; top:-110%; width:1.2ch; color:rgb(var(--glow)); text-shadow:0 0 8px rgb(var(--glow)); animation: fall linear infinite; white-space:pre; }
         @keyframes fall { to { transform: translateY(220%);} }
       `}</style>
       <div className="rain">
-        {Array.from({length: 28}).map((_,i)=>{
-          const dur = 6 + Math.random()*6; const left = (i/28)*100; const delay = -Math.random()*dur;
-          const chars = "01<>\\/={}[]();$#@*&^%";
-          const lines = Array.from({length: 40}).map(()=> chars[Math.floor(Math.random()*chars.length)]).join("\\n");
-          return <pre key={i} className="col" style={{left:`${left}%`, animationDuration:`${dur}s`, animationDelay:`${delay}s`}}>{lines}</pre>
-        })}
+        {cols.map((c,i) => (
+          <pre key={i} className="col" style={{left:`${c.left}%`, animationDuration:`${c.dur}s`, animationDelay:`${c.delay}s`, animationPlayState: paused || still ? "paused" : "running"}}>{c.lines}</pre>
+        ))}
       </div>
     </Html>
   );
 }
 
-function StatChip({ children }) {
-  return <span className="px-3 py-1 rounded-full bg-emerald-400/10 border border-emerald-300/20 backdrop-blur text-xs font-mono">{children}</span>;
-}
-
-function RepoCard({ repo }) {
+function RepoCard({ repo, onOpen }) {
+  const { t, formatDate } = useI18n();
+  const { featured } = repo;
   return (
-    <a href={repo.html_url} target="_blank" rel="noreferrer" className="block group">
-      <div className="rounded-xl p-4 border border-emerald-300/20 bg-black/40 hover:bg-black/55 transition shadow-[0_0_40px_rgba(16,185,129,0.08)] font-mono">
+    <a href={hrefFor({ repo: repo.name })} onClick={inPage(() => onOpen?.(repo))} className="block group">
+      <div className={`rounded-xl p-4 border ${featured ? "border-accent/50" : "border-accent/20"} bg-panel/40 hover:bg-panel/55 transition shadow-[0_0_40px_rgb(var(--glow)/0.08)] font-mono`}>
+        {featured?.screenshots?.[0] && (
+          <img src={featured.screenshots[0]} alt="" loading="lazy" className="mb-3 h-28 w-full rounded-lg object-cover object-top opacity-90" />
+        )}
         <div className="flex items-center justify-between gap-2">
-          <h3 className="text-sm md:text-base font-semibold tracking-tight group-hover:text-emerald-300 transition-colors">{repo.name}</h3>
+          <h3 className="text-sm md:text-base font-semibold tracking-tight group-hover:text-accent transition-colors">{repo.name}</h3>
           <div className="text-xs opacity-75">★ {repo.stargazers_count || 0}</div>
         </div>
+        {featured?.role && <div className="text-[11px] text-accent">{featured.role}</div>}
         {repo.description && (
           <p className="mt-1 text-xs md:text-sm opacity-80 line-clamp-2">{repo.description}</p>
         )}
         <div className="mt-3 flex flex-wrap gap-2">
+          {featured && <StatChip>{t("repos.featured")}</StatChip>}
+          {repo.archived && <StatChip>{t("repos.archived")}</StatChip>}
+          {repo.provider !== "github" && repo.host && <StatChip>{repo.host}</StatChip>}
           {repo.language && <StatChip>{repo.language}</StatChip>}
           {repo.topics?.slice(0, 3).map(t => (
             <StatChip key={t}>#{t}</StatChip>
           ))}
-          <span className="text-[10px] opacity-60 ml-auto">Updated {new Date(repo.updated_at).toLocaleDateString()}</span>
+          {repo.updated_at && <span className="text-[10px] opacity-60 ml-auto">{t("repos.updated", { date: formatDate(repo.updated_at) })}</span>}
         </div>
       </div>
     </a>
   );
 }
 
-function RepoList({ repos = [], currentFilter }) {
-  const filtered = React.useMemo(() => {
-    if (!currentFilter || currentFilter === "All") return repos;
-    return repos.filter(r => (r.language || "").toLowerCase() === currentFilter.toLowerCase());
-  }, [repos, currentFilter]);
-  const top = filtered.slice(0, 8);
+const PAGE_SIZE = 9;
+const selectClass = "bg-panel/40 border border-accent/30 rounded-lg px-2 py-1 text-xs font-mono focus:outline-none focus:border-accent";
+
+function RepoList({ repos = [], languages, view, onChange, onOpen }) {
+  const { filter, query, topic, archived, sort } = view;
+  const { t } = useI18n();
+  const filtered = useMemo(
+    () => queryRepos(repos, { filter, languages, query, topic, archived, sort }),
+    [repos, filter, languages, query, topic, archived, sort]
+  );
+  const topics = useMemo(() => facetCounts(repos, r => r.topics), [repos]);
+  const [shown, setShown] = useState(PAGE_SIZE);
+  useEffect(() => setShown(PAGE_SIZE), [filter, query, topic, archived, sort]);
+  // one history entry per search: the first keystroke pushes, the rest replace it until blur
+  const searching = useRef(false);
+  const top = filtered.slice(0, shown);
+  const narrowed = filter !== "All" || query || topic || archived !== "all";
+
+  return (
+    <div className="font-mono">
+      <div className="mb-4 flex flex-wrap items-center gap-2 text-xs">
+        <label className="flex flex-1 min-w-[12rem] items-center gap-2 bg-panel/40 border border-accent/30 rounded-lg px-2 py-1 focus-within:border-accent">
+          <span className="opacity-70">$ grep</span>
+          <input
+            type="search" value={query} placeholder={t("repos.searchPlaceholder")} aria-label={t("repos.search")}
+            onChange={e => { onChange({ query: e.target.value }, { replace: searching.current }); searching.current = true; }}
+            onBlur={() => { searching.current = false; }}
+            className="flex-1 bg-transparent outline-none placeholder:opacity-40"
+          />
+        </label>
+        <select aria-label={t("repos.topic")} value={topic || ""} onChange={e => onChange({ topic: e.target.value || null })} className={selectClass}>
+          <option value="">{t("repos.anyTopic")}</option>
+          {topics.map(([t, n]) => <option key={t} value={t}>#{t} ({n})</option>)}
+        </select>
+        <select aria-label={t("repos.archivedFilter")} value={archived} onChange={e => onChange({ archived: e.target.value })} className={selectClass}>
+          {ARCHIVED_MODES.map(k => <option key={k} value={k}>{t(`archived.${k}`)}</option>)}
+        </select>
+        <select aria-label={t("repos.sortBy")} value={sort} onChange={e => onChange({ sort: e.target.value })} className={selectClass}>
+          {Object.keys(SORT_MODES).map(k => <option key={k} value={k}>{t("repos.sort", { mode: t(`sort.${k}`) })}</option>)}
+        </select>
+      </div>
+
+      <div className="mb-3 flex items-center gap-3 text-[11px] opacity-70">
+        <span>{t("repos.count", { shown: filtered.length, total: repos.length })}{top.length < filtered.length && t("repos.showing", { count: top.length })}</span>
+        {narrowed && (
+          <button onClick={() => onChange({ filter: "All", active: null, query: "", topic: null, archived: "all" })} className="underline hover:text-accent">{t("repos.reset")}</button>
+        )}
+      </div>
+
+      <div className="grid sm:grid-cols-2 xl:grid-cols-3 gap-3 md:gap-4">
+        {top.map(r => <RepoCard key={r.id} repo={r} onOpen={onOpen} />)}
+        {top.length === 0 && (
+          <div className="col-span-full text-sm opacity-80">{t("repos.empty")}</div>
+        )}
+      </div>
+
+      {top.length < filtered.length && (
+        <div className="mt-4 text-center">
+          <button onClick={() => setShown(n => n + PAGE_SIZE)} className="px-4 py-1.5 rounded-xl border border-accent/30 text-xs hover:bg-accent/10">
+            {t("repos.more", { count: filtered.length - top.length })}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------------- Planet Accessibility ----------------
+/**
+ * Visually hidden mirror of the planets for keyboard and screen-reader users.
+ * One tab stop (roving tabindex); arrows move between planets, Enter/Space
+ * activates. The focused planet gets the hover scale and glow in the scene.
+ */
+function PlanetNav({ planets, repos, active, onActivate, onFocusChange }) {
+  const { t, formatPercent } = useI18n();
+  const [index, setIndex] = useState(0);
+  const buttons = useRef([]);
+  const counts = useMemo(() => Object.fromEntries(planets.map(p => [p.label, repos.filter(r => p.languages.includes(r.language)).length])), [planets, repos]);
+
+  const move = (e, i) => {
+    const targets = { ArrowRight: i + 1, ArrowDown: i + 1, ArrowLeft: i - 1, ArrowUp: i - 1, Home: 0, End: planets.length - 1 };
+    if (!(e.key in targets)) return;
+    e.preventDefault();
+    const next = (targets[e.key] + planets.length) % planets.length;
+    setIndex(next);
+    buttons.current[next]?.focus();
+  };
+
+  if (!planets.length) return null;
+  return (
+    <div role="toolbar" aria-label={t("planets.toolbar")} className="sr-only">
+      {planets.map((p, i) => (
+        <button
+          key={p.label}
+          ref={el => (buttons.current[i] = el)}
+          tabIndex={i === Math.min(index, planets.length - 1) ? 0 : -1}
+          aria-pressed={active === p.label}
+          aria-label={`${t("planets.label", { label: p.label, share: formatPercent(p.share), repos: t("planets.repos", { count: counts[p.label] }) })}${p.languages.length > 1 ? ` (${p.languages.join(", ")})` : ""}`}
+          onKeyDown={e => move(e, i)}
+          onFocus={() => { setIndex(i); onFocusChange(p.label); }}
+          onBlur={() => onFocusChange(null)}
+          onClick={() => onActivate(p.label)}
+        >
+          {p.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// ---------------- Config-driven Sections ----------------
+function TextSection({ section }) {
   return (
-    <div className="grid sm:grid-cols-2 xl:grid-cols-3 gap-3 md:gap-4">
-      {top.map(r => <RepoCard key={r.id} repo={r} />)}
-      {top.length === 0 && (
-        <div className="col-span-full text-sm opacity-80 font-mono">No repositories matched that filter.</div>
+    <div className="p-4 md:p-6">
+      <p className="opacity-90 text-sm leading-relaxed font-mono">
+        {section.paragraphs.map((para, i) => (
+          <React.Fragment key={i}>{i > 0 && <><br /><br /></>}{para}</React.Fragment>
+        ))}
+      </p>
+      {section.links?.length > 0 && (
+        <div className="mt-4 flex gap-3">
+          {section.links.map(l => (
+            <a key={l.href} href={l.href} target="_blank" rel="noreferrer" className="px-4 py-2 rounded-xl bg-accent text-on-accent text-sm font-semibold hover:opacity-90">{l.label}</a>
+          ))}
+        </div>
       )}
     </div>
   );
 }
 
+function ContactSection({ section, profile }) {
+  return (
+    <div className="p-4 md:p-6 space-y-2 text-sm font-mono">
+      {section.rows.map(row => (
+        <div key={row.label} className="flex items-center gap-2">
+          <span className="opacity-70 w-28">$ {row.label}</span>
+          {row.href ? <a className="underline" href={row.href} target="_blank" rel="noreferrer">{row.value}</a> : <span>{row.value}</span>}
+        </div>
+      ))}
+      {section.form && <ContactForm form={section.form} profileEmail={profile?.email} />}
+    </div>
+  );
+}
+
+function CardsSection({ section }) {
+  return (
+    <div className="p-4 md:p-6 grid md:grid-cols-2 gap-4">
+      {section.cards.map(card => (
+        <div key={card.title} className="rounded-xl border border-accent/20 bg-panel/30 p-4">
+          <h4 className="text-lg font-semibold font-mono">&gt; {card.title}</h4>
+          <p className="mt-2 opacity-80 text-sm leading-relaxed font-mono">{card.text}</p>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const SECTION_KINDS = { text: TextSection, contact: ContactSection, cards: CardsSection };
+
+function Sections({ sections, profile }) {
+  return (
+    <div className="mt-8 grid md:grid-cols-2 gap-4">
+      {sections.map(section => {
+        const Body = SECTION_KINDS[section.kind];
+        return (
+          <TerminalWindow key={section.id} id={section.id} title={section.title} note={section.note} className={section.span === "full" ? "md:col-span-2" : ""}>
+            <Body section={section} profile={profile} />
+          </TerminalWindow>
+        );
+      })}
+    </div>
+  );
+}
+
 // ---------------- Main Component ----------------
 export default function RejwanPortfolio() {
-  const { user, repos, loading, error } = useGitHubData(GITHUB_USER);
-  const [filter, setFilter] = useState("All");
+  const { user, repos: githubRepos, loading, error, notice } = useGitHubData(GITHUB_USER);
+  const sources = useSources(config.sources);
+  const repos = useMemo(() => (sources.repos.length ? mergeRepos([githubRepos, sources.repos]) : githubRepos), [githubRepos, sources.repos]);
+  const publicRepos = user?.public_repos != null ? sources.profiles.reduce((n, p) => n + p.public_repos, user.public_repos) : null;
+  const [view, setView] = useUrlState();
+  const { filter, active, repo: openRepo } = view;
   const [pulses, setPulses] = useState([]);
-  const [active, setActive] = useState(null);
+  const [focusedPlanet, setFocusedPlanet] = useState(null);
+  const quality = useQuality();
+  const { reduced, ...motion } = useMotion();
+  const theme = useThemeState();
+  const i18n = useI18n();
+  const { t } = i18n;
+  const site = useMemo(() => localizeConfig(config, i18n.locale), [i18n.locale]);
+  // a translated bio/tagline beats the GitHub bio, which is only ever in one language
+  const own = config.translations?.[i18n.locale] || {};
+  const bio = own.bio || user?.bio || config.bio;
+  const tagline = own.tagline || user?.bio || config.tagline || "";
+  const q = quality.settings;
+  const sceneRef = useRef();
+  const inView = useInView(sceneRef);
+  const webgl = useMemo(supportsWebGL, []);
+  const guard = useSceneGuard();
+
+  const activity = useActivity(GITHUB_USER);
+  const withBytes = useLanguageBytes(repos);
+  const langRepos = useMemo(() => withFeatured(withBytes, site.featured), [withBytes, site.featured]);
+  const planets = useMemo(() => buildPlanets(aggregateLanguages(langRepos), config.planets), [langRepos]);
+  const stats = useMemo(() => repoStats(langRepos, { colors: config.planets.colors }), [langRepos]);
+  const [topicCloud, toggleTopicCloud] = useTopicCloudSetting();
+  const detailRepo = openRepo && langRepos.find(r => r.name.toLowerCase() === openRepo.toLowerCase());
+  const closeDetail = useCallback(() => setView({ repo: null }), [setView]);
+  const openNote = view.note && notes.find(n => n.slug === view.note);
+  const closeNote = useCallback(() => setView({ note: null }), [setView]);
+
+  const controlsRef = useRef();
+  const introRef = useRef();
+  const snapshotRef = useRef();
+  const [shot, setShot] = useState(null);
+  const tourStops = useMemo(() => buildTour({ planets, name: user?.name || site.name }, i18n), [planets, user?.name, site.name, i18n]);
+  const tour = useTour(tourStops, { reduced });
+  const attract = useIdle(IDLE_AFTER, webgl && inView && !reduced && !tour.current && !detailRepo && !openNote);
+  // each stop flies the camera (the header stop retypes the intro); leaving the tour flies it back home
+  const wasTouring = useRef(false);
+  useEffect(() => {
+    if (tour.current?.id === "header") introRef.current?.replay();
+    if (tour.current) setShot(tour.current.shot);
+    else if (wasTouring.current) setShot(HOME_SHOT);
+    wasTouring.current = !!tour.current;
+  }, [tour.current]);
 
-  const planets = [
-    { label: "Kotlin", color: "#22d3ee", pos: [-6, 0.5, -2] },
-    { label: "Java", color: "#a78bfa", pos: [6, 0.3, -1] },
-    { label: "Dart", color: "#34d399", pos: [-3, -1.4, 1.5] },
-    { label: "JavaScript", color: "#f59e0b", pos: [3, -1.6, 1.2] },
-    { label: "Python", color: "#fb7185", pos: [0, -2.2, -1] },
-  ];
+  useEffect(() => {
+    if (site.title) document.title = site.title;
+  }, [site.title]);
+  const planetKey = planets.map(p => p.label).join("|");
 
   // refs per planet to attach orbiters when active
-  const planetRefs = useMemo(() => Object.fromEntries(planets.map(p => [p.label, React.createRef()])), []);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const planetRefs = useMemo(() => Object.fromEntries(planets.map(p => [p.label, React.createRef()])), [planetKey]);
 
   const handleActivate = (label, worldPos) => {
-    setFilter(label);
-    setActive(label);
+    setView({ filter: label, active: label });
     setPulses((p) => [...p, { id: Math.random(), pos: worldPos }]);
+    setShot(planetShot(worldPos.toArray(), planets.find(p => p.label === label)?.radius));
+  };
+
+  // Keyboard, terminal and other non-pointer activation start the pulse at the planet's centre.
+  const activatePlanet = label => {
+    const wp = new THREE.Vector3();
+    planetRefs[label]?.current?.getWorldPosition(wp);
+    handleActivate(label, wp);
+  };
+
+  const matching = useMemo(
+    () => queryRepos(langRepos, { ...view, languages: planets.find(p => p.label === filter)?.languages }).length,
+    [langRepos, view, planets, filter]
+  );
+  const announcement = tour.current ? `${tour.current.title}. ${tour.current.text}` : t("planets.announce", { filter: filter === "All" ? t("planets.allLanguages") : filter, shown: matching, total: langRepos.length });
+
+  // shown without WebGL, and in place of a scene that crashed
+  const staticHero = (
+    <StaticHero
+      name={user?.name || site.name} tagline={tagline.replaceAll("|", "•")} planets={planets}
+      palette={theme.theme.scene} active={active} onActivate={activatePlanet}
+    />
+  );
+
+  const snapshotCard = useMemo(() => ({
+    name: user?.name || site.name, tagline: tagline.replaceAll("|", "•"), avatar: user?.avatar_url,
+    filter: { label: t("stats.filter"), value: filter === "All" ? t("filter.all") : filter },
+    url: config.url || window.location.origin,
+  }), [user?.name, user?.avatar_url, site.name, tagline, filter, t]);
+  const snapshot = useSnapshot({ rig: snapshotRef, card: snapshotCard, planets, theme: theme.theme });
+  const [snapshotError, setSnapshotError] = useState(null);
+  const takeSnapshot = () => {
+    setSnapshotError(null);
+    snapshot.take(SNAPSHOT_SIZES[DEFAULT_SNAPSHOT_SIZE], { share: snapshot.canShare }).catch(setSnapshotError);
+  };
+
+  const scrollTo = id => id === "top"
+    ? window.scrollTo({ top: 0, behavior: reduced ? "auto" : "smooth" })
+    : document.getElementById(id)?.scrollIntoView({ behavior: reduced ? "auto" : "smooth" });
+
+  const shellCtx = {
+    repos: langRepos, planets, sections: site.sections, notes, view, setView, activatePlanet,
+    startTour: webgl && !guard.failure ? tour.start : undefined,
+    replayIntro: webgl && !guard.failure ? () => introRef.current?.replay() : undefined,
+    themes: Object.keys(THEMES), theme: theme.name, setTheme: theme.setTheme, stats, scrollTo, snapshot: snapshot.take,
   };
 
   return (
-    <div className="min-h-screen w-full bg-[#050b0a] text-slate-100">
+    <div className="min-h-screen w-full bg-surface text-fg">
       {/* Top Nav */}
-      <header className="sticky top-0 z-50 border-b border-emerald-300/20 bg-black/40 backdrop-blur font-mono">
+      <header className="sticky top-0 z-50 border-b border-accent/20 bg-panel/40 backdrop-blur font-mono">
         <div className="mx-auto max-w-7xl px-4 py-3 flex items-center gap-3">
-          <div className="h-9 w-9 rounded-xl overflow-hidden ring-1 ring-emerald-300/30">
+          <div className="h-9 w-9 rounded-xl overflow-hidden ring-1 ring-accent/30">
             {user?.avatar_url ? (
               <img src={user.avatar_url} alt="avatar" className="h-full w-full object-cover" />
             ) : (
-              <div className="h-full w-full bg-white/10" />
+              <div className="h-full w-full bg-fg/10" />
             )}
           </div>
           <div className="flex-1">
-            <div className="text-sm md:text-base font-semibold">{user?.name || "Rejwan"} <span className="opacity-60 text-xs">(@{user?.login || GITHUB_USER})</span></div>
-            <div className="text-xs opacity-70 line-clamp-1">{user?.bio || "Full Stack Android Developer | Kotlin • Java • Flutter • Dart • Firebase • REST APIs"}</div>
+            <div className="text-sm md:text-base font-semibold">{user?.name || site.name} <span className="opacity-60 text-xs">(@{user?.login || GITHUB_USER})</span></div>
+            <div className="text-xs opacity-70 line-clamp-1">{bio}</div>
           </div>
           <div className="flex items-center gap-2">
-            <a href={`https://github.com/${GITHUB_USER}`} target="_blank" rel="noreferrer" className="text-xs md:text-sm underline opacity-90 hover:text-emerald-300">GitHub</a>
-            {user?.blog && <a href={user.blog} target="_blank" rel="noreferrer" className="text-xs md:text-sm underline opacity-90 hover:text-emerald-300">Website</a>}
+            <select
+              aria-label={t("header.quality")} value={quality.mode} onChange={e => quality.setMode(e.target.value)}
+              className="bg-panel/40 border border-accent/30 rounded-lg px-1.5 py-0.5 text-[11px] focus:outline-none focus:border-accent"
+            >
+              {QUALITY_MODES.map(m => <option key={m} value={m}>{t("header.gfx")}: {m === "auto" ? `${t("auto")} (${quality.tier})` : m}</option>)}
+            </select>
+            <select
+              aria-label={t("header.motion")} value={motion.mode} onChange={e => motion.setMode(e.target.value)}
+              className="bg-panel/40 border border-accent/30 rounded-lg px-1.5 py-0.5 text-[11px] focus:outline-none focus:border-accent"
+            >
+              {MOTION_MODES.map(m => <option key={m} value={m}>{t("header.motion")}: {m === "auto" ? `${t("auto")} (${t(reduced ? "motion.reduced" : "motion.full")})` : t(`motion.${m}`)}</option>)}
+            </select>
+            <select
+              aria-label={t("header.theme")} value={theme.name} onChange={e => theme.setTheme(e.target.value)}
+              className="bg-panel/40 border border-accent/30 rounded-lg px-1.5 py-0.5 text-[11px] focus:outline-none focus:border-accent"
+            >
+              {Object.keys(THEMES).map(name => <option key={name} value={name}>{t("header.theme")}: {t(`theme.${name}`)}</option>)}
+            </select>
+            <select
+              aria-label={t("header.language")} value={i18n.locale} onChange={e => i18n.setLocale(e.target.value)}
+              className="bg-panel/40 border border-accent/30 rounded-lg px-1.5 py-0.5 text-[11px] focus:outline-none focus:border-accent"
+            >
+              {Object.entries(LOCALES).map(([code, l]) => <option key={code} value={code} lang={code}>{l.label}</option>)}
+            </select>
+            <a href={`https://github.com/${GITHUB_USER}`} target="_blank" rel="noreferrer" className="text-xs md:text-sm underline opacity-90 hover:text-accent">GitHub</a>
+            {user?.blog && <a href={user.blog} target="_blank" rel="noreferrer" className="text-xs md:text-sm underline opacity-90 hover:text-accent">{t("header.website")}</a>}
           </div>
         </div>
       </header>
 
       {/* Hero + 3D Canvas */}
       <section className="relative">
-        <div className="absolute inset-0">
-          <Canvas camera={{ position: [0, 0, 9], fov: 42 }} shadows>
-            <ambientLight intensity={0.6} />
-            <directionalLight position={[4, 6, 5]} intensity={1.0} castShadow />
-            <CursorLight />
-            <ParticleField />
-            <Stars radius={80} depth={40} count={5500} factor={4} fade />
-
-            {/* Typewriter intro */}
-            <Typewriter3D lines={["> whoami", "Rejwan — Full Stack Android Developer"]} position={[0, 2.2, 0]} />
-
-            <Header3D name={user?.name || "REJWAN"} tagline={(user?.bio || "Full Stack Android Developer").replaceAll("|", "•")} />
-            <SpinningKnot position={[0, 0.2, 0]} />
-            <GridFloor />
-
-            {planets.map(p => (
-              <Planet
-                key={p.label}
-                ref={planetRefs[p.label]}
-                label={p.label}
-                color={p.color}
-                position={p.pos}
-                onActivate={handleActivate}
-                active={filter === p.label}
-              />
-            ))}
-
-            {/* Orbiters for the active planet */}
-            <Orbiters targetRef={active ? planetRefs[active] : null} active={!!active} />
-
-            {/* Pulses */}
-            {pulses.map((p) => (
-              <PulseRing key={p.id} origin={p.pos} onDone={() => setPulses(ps => ps.filter(x => x.id !== p.id))} />
-            ))}
-
-            <OrbitControls enablePan={false} minDistance={6} maxDistance={16} />
-            <CodeRain />
-
-            <Html position={[0, -3.4, 0]} center wrapperClass="pointer-events-none">
-              <div className="text-center text-xs opacity-80 font-mono">
-                $ stack filter → <span className="text-emerald-300">{filter}</span>
-              </div>
-            </Html>
-          </Canvas>
+        <div ref={sceneRef} className="absolute inset-0" aria-hidden="true">
+          {webgl ? (
+            <SceneErrorBoundary key={guard.key} onError={guard.onError} fallback={staticHero}>
+              <Canvas onCreated={guard.onCreated} camera={{ position: [0, 0, 9], fov: 42 }} shadows={q.shadows} dpr={q.dpr} frameloop={inView ? "always" : "never"}>
+                <ThemeContext.Provider value={theme.theme.scene}>
+                  <I18nContext.Provider value={i18n}>
+                    <PerformanceMonitor onDecline={quality.decline} onIncline={quality.incline} flipflops={3} />
+                    <ambientLight intensity={0.6} />
+                    <directionalLight position={[4, 6, 5]} intensity={1.0} castShadow={q.shadows} />
+                    <CursorLight />
+                    <ParticleField count={q.particles} reduced={reduced} />
+                    <Stars key={q.stars} radius={80} depth={40} count={q.stars} factor={4} fade speed={reduced ? 0 : 1} />
+
+                    {/* Typewriter intro */}
+                    <Typewriter3D ref={introRef} key={i18n.locale} script={site.typewriter} position={INTRO_POSITION} instant={reduced} />
+
+                    <Header3D name={user?.name || site.name} tagline={tagline.replaceAll("|", "•")} reduced={reduced} />
+                    <SpinningKnot position={[0, 0.2, 0]} detail={q.knot} wireDetail={q.knotWire} reduced={reduced} />
+                    <GridFloor />
+                    {activity.available && <ActivityCity days={activity.days} />}
+
+                    {planets.map(p => (
+                      <Planet
+                        key={p.label}
+                        ref={planetRefs[p.label]}
+                        label={p.label}
+                        share={p.share}
+                        color={p.color}
+                        radius={p.radius}
+                        detail={q.planetDetail}
+                        shadows={q.shadows}
+                        position={p.pos}
+                        onActivate={handleActivate}
+                        active={filter === p.label}
+                        focused={focusedPlanet === p.label || tour.current?.planet === p.label}
+                        reduced={reduced}
+                      />
+                    ))}
+
+                    <FeaturedBillboards repos={langRepos} onOpen={r => setView({ repo: r.name })} reduced={reduced} />
+                    {topicCloud && stats.topics.length > 0 && (
+                      <TopicCloud topics={stats.topics} active={view.topic} onSelect={topic => setView({ topic })} reduced={reduced} />
+                    )}
+
+                    {/* Orbiters for the active planet */}
+                    <Orbiters targetRef={active ? planetRefs[active] : null} active={!!active && !!planetRefs[active]} reduced={reduced} />
+
+                    {/* Pulses */}
+                    {pulses.map((p) => (
+                      <PulseRing key={p.id} origin={p.pos} reduced={reduced} onDone={() => setPulses(ps => ps.filter(x => x.id !== p.id))} />
+                    ))}
+
+                    <OrbitControls
+                      ref={controlsRef} enablePan={false} minDistance={6} maxDistance={16} enableDamping={!reduced}
+                      autoRotate={attract} autoRotateSpeed={0.4} onStart={() => setShot(null)}
+                    />
+                    <CameraRig shot={shot} controls={controlsRef} reduced={reduced} />
+                    <SnapshotRig ref={snapshotRef} />
+                    {tour.current && (
+                      <TourCaption stop={tour.current} index={tour.index} count={tour.count} onPrev={tour.prev} onNext={tour.next} onExit={tour.end} />
+                    )}
+                    <CodeRain columns={q.rainColumns} paused={!inView} still={reduced} />
+
+                    <Html position={[0, -3.4, 0]} center wrapperClass="pointer-events-none">
+                      <div className="text-center text-xs opacity-80 font-mono">
+                        {t("filter.caption")} <span className="text-accent">{filter === "All" ? t("filter.all") : filter}</span>
+                      </div>
+                    </Html>
+                  </I18nContext.Provider>
+                </ThemeContext.Provider>
+              </Canvas>
+            </SceneErrorBoundary>
+          ) : staticHero}
+        </div>
+        <SceneDiagnostics failure={guard.failure} renderer={guard.renderer} tier={quality.tier} onRetry={guard.retry} />
+        <div className="absolute right-4 top-4 z-20 flex flex-col items-end gap-2 font-mono">
+          <div className="flex gap-2">
+            <button
+              onClick={takeSnapshot} disabled={snapshot.busy}
+              className="px-3 py-1 rounded-xl border border-accent/30 bg-panel/60 text-xs backdrop-blur hover:bg-accent/10 disabled:opacity-60"
+            >
+              {t(snapshot.busy ? "snapshot.busy" : snapshot.canShare ? "snapshot.share" : "snapshot.save")}
+            </button>
+            {webgl && !guard.failure && (
+              <button
+                onClick={tour.current ? tour.end : tour.start}
+                className="px-3 py-1 rounded-xl border border-accent/30 bg-panel/60 text-xs backdrop-blur hover:bg-accent/10"
+              >
+                {t(tour.current ? "tour.exit" : "tour.start")}
+              </button>
+            )}
+          </div>
+          {snapshotError && (
+            <p role="alert" className="flex max-w-xs items-start gap-2 rounded-xl border border-rose-400/40 bg-panel/80 px-3 py-1 text-[11px] text-rose-300 backdrop-blur">
+              {t("snapshot.failed", { reason: snapshotError.message })}
+              <button onClick={() => setSnapshotError(null)} aria-label={t("snapshot.dismiss")} className="opacity-70 hover:opacity-100">✕</button>
+            </p>
+          )}
         </div>
 
-        <div className="relative z-10 pointer-events-none h-[68vh] md:h-[72vh] w-full bg-gradient-to-b from-transparent via-black/40 to-[#050b0a]" />
+        <PlanetNav planets={planets} repos={langRepos} active={active} onActivate={activatePlanet} onFocusChange={setFocusedPlanet} />
+        <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+
+        <div className="relative z-10 pointer-events-none h-[68vh] md:h-[72vh] w-full bg-gradient-to-b from-transparent via-panel/40 to-surface" />
       </section>
 
       {/* Content (UI below) */}
       <main className="relative z-10 mx-auto max-w-7xl px-4 pb-16 -mt-20">
         <div className="mb-6 flex flex-wrap items-center gap-2 font-mono">
-          <StatChip>repos: {user?.public_repos ?? "—"}</StatChip>
-          <StatChip>followers: {user?.followers ?? "—"}</StatChip>
-          <StatChip>following: {user?.following ?? "—"}</StatChip>
-          <StatChip>filter: {filter}</StatChip>
+          <StatChip>{t("stats.repos")}: {publicRepos != null ? i18n.formatNumber(publicRepos) : "—"}</StatChip>
+          <StatChip>{t("stats.followers")}: {user?.followers != null ? i18n.formatNumber(user.followers) : "—"}</StatChip>
+          <StatChip>{t("stats.following")}: {user?.following != null ? i18n.formatNumber(user.following) : "—"}</StatChip>
+          <StatChip>{t("stats.filter")}: {filter === "All" ? t("filter.all") : filter}</StatChip>
           <div className="ml-auto flex items-center gap-2 pointer-events-auto">
             {user?.blog && (
-              <a href={user.blog} target="_blank" rel="noreferrer" className="px-3 py-1 rounded-xl bg-emerald-300 text-black text-xs font-semibold hover:opacity-90">Website</a>
+              <a href={user.blog} target="_blank" rel="noreferrer" className="px-3 py-1 rounded-xl bg-accent text-on-accent text-xs font-semibold hover:opacity-90">{t("header.website")}</a>
             )}
-            <a href={`https://t.me/iamjoker99`} target="_blank" rel="noreferrer" className="px-3 py-1 rounded-xl bg-emerald-300 text-black text-xs font-semibold hover:opacity-90">Telegram</a>
+            {site.links?.map(l => (
+              <a key={l.href} href={l.href} target="_blank" rel="noreferrer" className="px-3 py-1 rounded-xl bg-accent text-on-accent text-xs font-semibold hover:opacity-90">{l.label}</a>
+            ))}
           </div>
         </div>
 
-        <div className="rounded-2xl border border-emerald-300/20 bg-black/30 shadow-[0_0_60px_rgba(16,185,129,0.12)]">
-          <div className="flex items-center justify-between px-3 py-2 border-b border-emerald-300/20 text-xs font-mono">
-            <div className="flex items-center gap-2">
-              <span className="h-2.5 w-2.5 rounded-full bg-red-400/70" />
-              <span className="h-2.5 w-2.5 rounded-full bg-yellow-400/70" />
-              <span className="h-2.5 w-2.5 rounded-full bg-green-400/70" />
-              <span className="ml-3 opacity-80">/var/www/portfolio ▶ projects</span>
-            </div>
-            <div className="flex items-center gap-2 pointer-events-auto">
-              {(["All", ...new Set(repos.map(r => r.language).filter(Boolean))].slice(0, 6)).map(l => (
-                <button key={l} onClick={() => { setFilter(l); setActive(null); }} className={`px-3 py-1 rounded-full text-xs border font-mono ${filter === l ? "bg-emerald-300 text-black border-emerald-300" : "bg-transparent border-emerald-300/30 hover:bg-emerald-300/10"}`}>
-                  {l}
+        <Terminal ctx={shellCtx} />
+
+        <TerminalWindow
+          id="projects"
+          title={t("projects.title")}
+          actions={
+            <div className="flex flex-wrap justify-end items-center gap-2 pointer-events-auto">
+              {["All", ...facetCounts(repos, r => r.language).map(([l]) => l)].map(l => (
+                <button key={l} onClick={() => setView({ filter: l, active: null })} className={`px-3 py-1 rounded-full text-xs border font-mono ${filter === l ? "bg-accent text-on-accent border-accent" : "bg-transparent border-accent/30 hover:bg-accent/10"}`}>
+                  {l === "All" ? t("filter.all") : l}
                 </button>
               ))}
             </div>
-          </div>
+          }
+        >
           <div className="p-4 md:p-6">
-            {loading && <div className="opacity-80 text-sm font-mono">[loading repositories…]</div>}
+            {loading && <div className="opacity-80 text-sm font-mono">{t("projects.loading")}</div>}
             {error && <div className="text-sm text-rose-300 font-mono">{String(error)}</div>}
-            {!loading && !error && <RepoList repos={repos} currentFilter={filter} />}
-            {!loading && !error && repos.length === 0 && (
-              <div className="grid sm:grid-cols-2 xl:grid-cols-3 gap-3 md:gap-4">
-                {[
-                  { name: "TechMirror", url: "https://github.com/iamrejwan/TechMirror", desc: "Web-based forum for tech lovers", lang: "HTML" },
-                  { name: "Kashflow-Calculator", url: "https://github.com/iamrejwan/Kashflow-Calculator", desc: "Cash-out charge calculator (Bkash & Nagad)", lang: "Kotlin" },
-                  { name: "Chat-U", url: "https://github.com/iamrejwan/Chat-U", desc: "Simple chat app using OpenAI API", lang: "Java" },
-                  { name: "DDC-App", url: "https://github.com/iamrejwan/DDC-App", desc: "Digital Data Collector (Android, Kotlin)", lang: "Kotlin" },
-                  { name: "ResulteR", url: "https://github.com/iamrejwan/ResulteR", desc: "Flutter app to view results by Student ID", lang: "C++ / Flutter" },
-                  { name: "Tape-link-Generator", url: "https://github.com/iamrejwan/Tape-link-Generator", desc: "Direct-link generator for Streamtape", lang: "Python" },
-                ].map(f => (
-                  <a key={f.name} href={f.url} target="_blank" rel="noreferrer" className="block group">
-                    <div className="rounded-xl p-4 border border-emerald-300/20 bg-black/40 hover:bg-black/55 transition shadow-[0_0_40px_rgba(16,185,129,0.08)] font-mono">
-                      <div className="flex items-center justify-between gap-2">
-                        <h3 className="text-sm md:text-base font-semibold tracking-tight group-hover:text-emerald-300 transition-colors">{f.name}</h3>
-                      </div>
-                      <p className="mt-1 text-xs md:text-sm opacity-80 line-clamp-2">{f.desc}</p>
-                      <div className="mt-3 flex flex-wrap gap-2">
-                        <StatChip>{f.lang}</StatChip>
-                      </div>
-                    </div>
-                  </a>
-                ))}
+            {notice && (
+              <div className="mb-3 text-xs text-amber-300/90 font-mono">
+                {t(notice.reset ? "projects.cachedRateLimited" : "projects.cached", {
+                  when: notice.savedAt ? i18n.formatDateTime(notice.savedAt) : t("projects.snapshot"),
+                  reset: notice.reset && i18n.formatTime(notice.reset),
+                })}
               </div>
             )}
+            {sources.failed.length > 0 && (
+              <div className="mb-3 text-xs text-amber-300/90 font-mono">{t("projects.sourcesFailed", { sources: sources.failed.join(", ") })}</div>
+            )}
+            {!loading && !error && (
+              <RepoList repos={langRepos} languages={planets.find(p => p.label === filter)?.languages} view={view} onChange={setView} onOpen={r => setView({ repo: r.name })} />
+            )}
           </div>
-        </div>
+        </TerminalWindow>
 
-        <div className="mt-8 grid md:grid-cols-2 gap-4">
-          <div className="rounded-2xl border border-emerald-300/20 bg-black/30 shadow-[0_0_60px_rgba(16,185,129,0.12)]">
-            <div className="flex items-center justify-between px-3 py-2 border-b border-emerald-300/20 text-xs font-mono">
-              <div className="flex items-center gap-2">
-                <span className="h-2.5 w-2.5 rounded-full bg-red-400/70" />
-                <span className="h-2.5 w-2.5 rounded-full bg-yellow-400/70" />
-                <span className="h-2.5 w-2.5 rounded-full bg-green-400/70" />
-                <span className="ml-3 opacity-80">~ ▶ about</span>
-              </div>
-            </div>
-            <div className="p-4 md:p-6">
-              <p className="opacity-90 text-sm leading-relaxed font-mono">
-                I am a team player with excellent communication, passionate, and a self‑learned coder. I focus on learning and developing secure, efficient, and scalable Android applications by writing standard, well‑documented, and efficient code. I want to utilize my institutional skills along with my professional skills to implement innovative ideas into reality.
-                <br /><br />
-                Currently I am working as a freelancer.
-              </p>
-              <div className="mt-4 flex gap-3">
-                <a href={`https://github.com/${GITHUB_USER}`} target="_blank" rel="noreferrer" className="px-4 py-2 rounded-xl bg-emerald-300 text-black text-sm font-semibold hover:opacity-90">View GitHub</a>
-              </div>
-            </div>
-          </div>
+        {!loading && !error && langRepos.length > 0 && (
+          <StatsPanel
+            stats={stats} onFilter={patch => { setView(patch); scrollTo("projects"); }} onOpen={name => setView({ repo: name })}
+            cloud={topicCloud} onToggleCloud={webgl && !guard.failure ? toggleTopicCloud : undefined}
+          />
+        )}
 
-          <div className="rounded-2xl border border-emerald-300/20 bg-black/30 shadow-[0_0_60px_rgba(16,185,129,0.12)]">
-            <div className="flex items-center justify-between px-3 py-2 border-b border-emerald-300/20 text-xs font-mono">
-              <div className="flex items-center gap-2">
-                <span className="h-2.5 w-2.5 rounded-full bg-red-400/70" />
-                <span className="h-2.5 w-2.5 rounded-full bg-yellow-400/70" />
-                <span className="h-2.5 w-2.5 rounded-full bg-green-400/70" />
-                <span className="ml-3 opacity-80">/etc/contact</span>
-              </div>
-            </div>
-            <div className="p-4 md:p-6 space-y-2 text-sm font-mono">
-              <div className="flex items-center gap-2"><span className="opacity-70 w-28">$ location</span><span>Dhaka, Bangladesh</span></div>
-              <div className="flex items-center gap-2"><span className="opacity-70 w-28">$ telegram</span><a className="underline" href="https://t.me/iamjoker99" target="_blank" rel="noreferrer">@iamjoker99</a></div>
-              <div className="flex items-center gap-2"><span className="opacity-70 w-28">$ website</span><a className="underline" href="https://iamrejwan.github.io" target="_blank" rel="noreferrer">iamrejwan.github.io</a></div>
-            </div>
-          </div>
-        </div>
+        {notes.length > 0 && <Notes notes={notes} view={view} onChange={setView} />}
 
-        <div className="mt-8 rounded-2xl border border-emerald-300/20 bg-black/30 shadow-[0_0_60px_rgba(16,185,129,0.12)]">
-          <div className="flex items-center justify-between px-3 py-2 border-b border-emerald-300/20 text-xs font-mono">
-            <div className="flex items-center gap-2">
-              <span className="h-2.5 w-2.5 rounded-full bg-red-400/70" />
-              <span className="h-2.5 w-2.5 rounded-full bg-yellow-400/70" />
-              <span className="h-2.5 w-2.5 rounded-full bg-green-400/70" />
-              <span className="ml-3 opacity-80">~/work ▶ what_i_do</span>
-            </div>
-            <span className="text-[10px] opacity-60 font-mono">(updated live)</span>
-          </div>
-          <div className="p-4 md:p-6 grid md:grid-cols-2 gap-4">
-            <div className="rounded-xl border border-emerald-300/20 bg-black/30 p-4">
-              <h4 className="text-lg font-semibold font-mono">&gt; App Design</h4>
-              <p className="mt-2 opacity-80 text-sm leading-relaxed font-mono">
-                I like to code things from scratch, and enjoy bringing ideas to life in Android with simple content structure,
-                clean design patterns, and thoughtful interactions.
-              </p>
-            </div>
-            <div className="rounded-xl border border-emerald-300/20 bg-black/30 p-4">
-              <h4 className="text-lg font-semibold font-mono">&gt; App Development</h4>
-              <p className="mt-2 opacity-80 text-sm leading-relaxed font-mono">
-                Developing secure, efficient, and scalable Android applications by writing standard, well‑documented, and efficient code.
-              </p>
-            </div>
-          </div>
-        </div>
+        <Sections sections={site.sections} profile={user} />
       </main>
 
-      <footer className="border-t border-emerald-300/20 py-6 text-center text-xs opacity-70 font-mono">
-        © {new Date().getFullYear()} Rejwan — Built with React & Three.js
+      {detailRepo && <RepoDetail repo={detailRepo} onClose={closeDetail} />}
+      {openNote && <NoteDetail note={openNote} onClose={closeNote} onTag={tag => setView({ note: null, tag })} />}
+
+      <footer className="border-t border-accent/20 py-6 text-center text-xs opacity-70 font-mono">
+        {t("footer", { year: i18n.formatDate(Date.now(), { year: "numeric" }), name: site.name })}
       </footer>
+      <UpdatePrompt />
     </div>
   );
 }
@@ -0,0 +1,149 @@
+import { useFrame, useThree } from "@react-three/fiber";
+import { Html } from "@react-three/drei";
+import * as THREE from "three";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useI18n } from "./i18n.jsx";
+
+/**
+ * Camera moves on top of OrbitControls: flying to a clicked planet, the guided
+ * tour (header → each planet → knot) and the attract mode that slowly orbits
+ * the scene after a while without input. A "shot" is `{ position, target }` in
+ * world space; CameraRig eases the camera and the controls' target towards it
+ * and lets go once it arrives, so the visitor can orbit from there. Dragging
+ * the controls should clear the shot (see `onStart` in App.jsx).
+ */
+export const HOME_SHOT = { position: [0, 0, 9], target: [0, 0, 0] };
+const FLY_RATE = 3.2; // 1/s; higher settles faster
+const ARRIVED = 0.02;
+const MIN_DISTANCE = 6; // OrbitControls minDistance
+export const TOUR_DWELL = 6000;
+export const IDLE_AFTER = 45000;
+const IDLE_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart", "scroll"];
+
+// Frames a sphere from slightly above and in front, far enough to keep it and its labels in view.
+export function planetShot(pos, radius = 1) {
+  const target = new THREE.Vector3(...pos);
+  const offset = new THREE.Vector3(pos[0] * 0.25, 0.9, 1).normalize().multiplyScalar(Math.max(MIN_DISTANCE, radius * 5.5));
+  return { position: target.clone().add(offset).toArray(), target: target.toArray() };
+}
+
+/**
+ * @param {{ planets: Array<{ label: string, pos: number[], radius: number, share: number }>, name: string }} scene
+ * @returns {Array<{ id: string, shot: object, title: string, text: string, planet?: string }>}
+ */
+export function buildTour({ planets, name }, { t, formatPercent }) {
+  return [
+    { id: "header", shot: { position: [0, 1.3, 7.2], target: [0, 1.1, 0] }, title: name, text: t("tour.header") },
+    ...planets.map(p => ({
+      id: `planet:${p.label}`,
+      planet: p.label,
+      shot: planetShot(p.pos, p.radius),
+      title: p.label,
+      text: t("tour.planet", { label: p.label, share: formatPercent(p.share) }),
+    })),
+    { id: "knot", shot: { position: [2.6, 1.4, 6.4], target: [0, 0.2, 0] }, title: t("tour.knotTitle"), text: t("tour.knot") },
+  ];
+}
+
+/**
+ * Eases the camera to `shot`; renders nothing. `reduced` cuts instead of flying.
+ */
+export function CameraRig({ shot, controls, reduced = false }) {
+  const camera = useThree(s => s.camera);
+  const goal = useMemo(() => shot && { position: new THREE.Vector3(...shot.position), target: new THREE.Vector3(...shot.target) }, [shot]);
+  const [flying, setFlying] = useState(false);
+  useEffect(() => setFlying(!!goal), [goal]);
+
+  useFrame((_, delta) => {
+    const c = controls.current;
+    if (!flying || !goal || !c) return;
+    const k = reduced ? 1 : 1 - Math.exp(-delta * FLY_RATE);
+    camera.position.lerp(goal.position, k);
+    c.target.lerp(goal.target, k);
+    c.update();
+    if (camera.position.distanceTo(goal.position) < ARRIVED && c.target.distanceTo(goal.target) < ARRIVED) setFlying(false);
+  });
+  return null;
+}
+
+/**
+ * Caption for the current tour stop, pinned next to what the camera looks at.
+ */
+export function TourCaption({ stop, index, count, onPrev, onNext, onExit }) {
+  const { t } = useI18n();
+  const button = "px-2 py-0.5 rounded-md border border-accent/30 hover:bg-accent/10 disabled:opacity-40";
+  return (
+    <Html position={stop.shot.target} center zIndexRange={[40, 30]}>
+      <div className="w-64 -translate-y-28 rounded-xl border border-accent/30 bg-panel/85 p-3 font-mono text-xs text-fg shadow-[0_0_40px_rgb(var(--glow)/0.2)] backdrop-blur">
+        <div className="flex items-center justify-between opacity-60">
+          <span>{t("tour.step", { step: index + 1, count })}</span>
+          <button onClick={onExit} aria-label={t("tour.exit")} className="hover:text-accent">✕</button>
+        </div>
+        <div className="mt-1 text-sm font-semibold text-accent">{stop.title}</div>
+        <p className="mt-1 leading-relaxed opacity-90">{stop.text}</p>
+        <div className="mt-3 flex justify-between">
+          <button onClick={onPrev} disabled={index === 0} className={button}>◀ {t("tour.prev")}</button>
+          <button onClick={onNext} className={button}>{t(index === count - 1 ? "tour.finish" : "tour.next")} ▶</button>
+        </div>
+      </div>
+    </Html>
+  );
+}
+
+/**
+ * Tour state. Stops advance on their own every TOUR_DWELL ms (never under
+ * reduced motion, where the visitor steps through) and Escape ends the tour.
+ * @returns {{ current: object | null, index: number, count: number, start: () => void, end: () => void, next: () => void, prev: () => void }}
+ */
+export function useTour(stops, { reduced = false } = {}) {
+  const [index, setIndex] = useState(-1);
+  const running = index >= 0 && index < stops.length;
+
+  const start = useCallback(() => setIndex(0), []);
+  const end = useCallback(() => setIndex(-1), []);
+  const next = useCallback(() => setIndex(i => (i + 1 < stops.length ? i + 1 : -1)), [stops.length]);
+  const prev = useCallback(() => setIndex(i => Math.max(0, i - 1)), []);
+
+  useEffect(() => {
+    if (!running || reduced) return;
+    const timer = setTimeout(next, TOUR_DWELL);
+    return () => clearTimeout(timer);
+  }, [running, index, reduced, next]);
+
+  useEffect(() => {
+    if (!running) return;
+    const onKey = e => {
+      if (e.key === "Escape") end();
+      else if (e.key === "ArrowRight" && e.target === document.body) next();
+      else if (e.key === "ArrowLeft" && e.target === document.body) prev();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [running, end, next, prev]);
+
+  return { current: running ? stops[index] : null, index, count: stops.length, start, end, next, prev };
+}
+
+/**
+ * True once nothing has happened for `timeout` ms; any pointer, key, wheel,
+ * touch or scroll input makes it false again straight away.
+ */
+export function useIdle(timeout = IDLE_AFTER, enabled = true) {
+  const [idle, setIdle] = useState(false);
+  useEffect(() => {
+    if (!enabled) { setIdle(false); return; }
+    let timer;
+    const wake = () => {
+      setIdle(false);
+      clearTimeout(timer);
+      timer = setTimeout(() => setIdle(true), timeout);
+    };
+    wake();
+    for (const e of IDLE_EVENTS) window.addEventListener(e, wake, { passive: true });
+    return () => {
+      clearTimeout(timer);
+      for (const e of IDLE_EVENTS) window.removeEventListener(e, wake);
+    };
+  }, [timeout, enabled]);
+  return idle;
+}
@@ -0,0 +1,110 @@
+import React, { useMemo, useRef, useState } from "react";
+import { LIMITS, checkRateLimit, looksAutomated, mailtoHref, ownerEmail, recordSent, resolveDelivery, validateMessage } from "./contact.js";
+import { logError } from "./errorLog.js";
+import { useI18n } from "./i18n.jsx";
+
+/**
+ * Terminal-styled contact form. Status goes idle → sending → sent | failed;
+ * "limited" replaces the form while the visitor is over the rate limit.
+ * A failed send offers the message as an email to the owner instead. The form
+ * is hidden only when there's nowhere to deliver to: a mock config outside
+ * `npm run dev` with no owner address.
+ */
+const EMPTY = { name: "", email: "", message: "" };
+const inputClass = "w-full bg-panel/40 border border-accent/30 rounded-lg px-2 py-1.5 outline-none focus:border-accent aria-[invalid=true]:border-rose-400/70";
+
+export default function ContactForm({ form, profileEmail }) {
+  const { t, formatTime } = useI18n();
+  const email = ownerEmail(form, profileEmail);
+  const delivery = useMemo(() => resolveDelivery(form.delivery, email), [form.delivery, email]);
+  const [fields, setFields] = useState(EMPTY);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState(() => (checkRateLimit(form.rateLimit).allowed ? { kind: "idle" } : limited(form.rateLimit)));
+  const honeypot = useRef();
+  const openedAt = useRef(Date.now());
+
+  if (!delivery) return null;
+
+  const set = key => e => {
+    setFields(f => ({ ...f, [key]: e.target.value }));
+    if (errors[key]) setErrors(({ [key]: _, ...rest }) => rest);
+  };
+
+  const submit = async e => {
+    e.preventDefault();
+    if (status.kind === "sending") return;
+    const problems = validateMessage(fields);
+    setErrors(problems);
+    if (Object.keys(problems).length) {
+      document.getElementById(`contact-${Object.keys(problems)[0]}`)?.focus();
+      return;
+    }
+    if (looksAutomated({ honeypot: honeypot.current?.value, openedAt: openedAt.current })) {
+      setStatus({ kind: "sent" });
+      return;
+    }
+    const rate = checkRateLimit(form.rateLimit);
+    if (!rate.allowed) { setStatus(limited(form.rateLimit)); return; }
+
+    setStatus({ kind: "sending" });
+    try {
+      const { note } = await delivery.send({ name: fields.name.trim(), email: fields.email.trim(), message: fields.message.trim() });
+      recordSent();
+      setFields(EMPTY);
+      setStatus({ kind: "sent", note });
+    } catch (err) {
+      if (err.name !== "DeliveryError") logError(err, { source: "contact", adapter: delivery.name });
+      setStatus({ kind: "failed", key: err.name === "DeliveryError" ? err.message : "contact.errors.unknown", retryable: err.retryable !== false });
+    }
+  };
+
+  if (status.kind === "limited") {
+    return <p role="status" className="mt-4 text-xs text-amber-300/90">{t("contact.limited", { time: formatTime(status.retryAt) })}</p>;
+  }
+
+  const field = (key, label, input) => (
+    <label className="block">
+      <span className="opacity-70">$ {label}</span>
+      {input}
+      {errors[key] && <span id={`contact-${key}-error`} className="mt-1 block text-rose-300">{t(errors[key], { max: LIMITS[key], min: LIMITS.minMessage })}</span>}
+    </label>
+  );
+  const aria = key => ({ id: `contact-${key}`, "aria-invalid": !!errors[key], "aria-describedby": errors[key] ? `contact-${key}-error` : undefined });
+
+  return (
+    <form onSubmit={submit} noValidate className="mt-5 space-y-3 border-t border-accent/20 pt-4 text-xs">
+      <div className="opacity-70">{t("contact.heading")}</div>
+      {field("name", t("contact.name"), <input {...aria("name")} value={fields.name} onChange={set("name")} autoComplete="name" maxLength={LIMITS.name} className={inputClass} />)}
+      {field("email", t("contact.email"), <input {...aria("email")} type="email" value={fields.email} onChange={set("email")} autoComplete="email" className={inputClass} />)}
+      {field("message", t("contact.message"), <textarea {...aria("message")} value={fields.message} onChange={set("message")} rows={5} maxLength={LIMITS.message} className={inputClass} />)}
+
+      {/* honeypot: invisible to people, irresistible to form-filling bots */}
+      <div aria-hidden="true" className="absolute -left-[9999px] h-px w-px overflow-hidden">
+        <label>Website <input ref={honeypot} name="website" tabIndex={-1} autoComplete="off" /></label>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button type="submit" disabled={status.kind === "sending"} className="px-4 py-1.5 rounded-xl bg-accent text-on-accent font-semibold hover:opacity-90 disabled:opacity-50">
+          {t(status.kind === "sending" ? "contact.sending" : status.kind === "failed" && status.retryable ? "contact.retry" : "contact.send")}
+        </button>
+        <span role="status" aria-live="polite" className={status.kind === "failed" ? "text-rose-300" : "text-accent"}>
+          {status.kind === "sending" && t("contact.status.sending")}
+          {status.kind === "sent" && t(status.note || "contact.status.sent")}
+          {status.kind === "failed" && t(status.key)}
+        </span>
+      </div>
+      {status.kind === "failed" && email && delivery.name !== "mailto" && (
+        <a
+          href={mailtoHref({ name: fields.name.trim(), email: fields.email.trim(), message: fields.message.trim() }, { to: email, subject: form.delivery.subject })}
+          className="inline-block underline hover:text-accent"
+        >
+          {t("contact.mailtoFallback", { email })}
+        </a>
+      )}
+    </form>
+  );
+}
+
+function limited(rateLimit) {
+  return { kind: "limited", retryAt: checkRateLimit(rateLimit).retryAt };
+}
@@ -0,0 +1,128 @@
+import { Billboard, Float } from "@react-three/drei";
+import { useFrame } from "@react-three/fiber";
+import * as THREE from "three";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import SceneText from "./SceneText.jsx";
+import { useSceneTheme } from "./theme.jsx";
+
+/**
+ * Featured repos as floating picture frames on either side of the centre
+ * piece, always facing the camera. The first screenshot is the picture; repos
+ * without one (or whose host refuses cross-origin loading) get a drawn card
+ * with the name and description instead. Clicking a frame opens the repo.
+ */
+const MAX_BILLBOARDS = 4;
+const HEIGHT = 2.1;
+const CARD = { w: 288, h: 512 };
+
+// Alternates right/left, each further pair a little further out and back.
+function slot(i) {
+  const side = i % 2 ? -1 : 1;
+  const k = Math.floor(i / 2);
+  return [side * (5.4 + k * 2.4), 1.5 - k * 0.2, -2.5 - k * 1.6];
+}
+
+function useImageTexture(src) {
+  const [texture, setTexture] = useState(null);
+  useEffect(() => {
+    setTexture(null);
+    if (!src) return;
+    let live = true, loaded;
+    new THREE.TextureLoader().setCrossOrigin("anonymous").load(
+      src,
+      t => {
+        loaded = t;
+        t.colorSpace = THREE.SRGBColorSpace;
+        if (live) setTexture(t); else t.dispose();
+      },
+      undefined,
+      () => { /* keep the drawn card */ }
+    );
+    return () => { live = false; loaded?.dispose(); };
+  }, [src]);
+  return texture;
+}
+
+function wrap(g, text, maxWidth) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/)) {
+    const next = line ? `${line} ${word}` : word;
+    if (g.measureText(next).width > maxWidth && line) { lines.push(line); line = word; } else line = next;
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function useCardTexture(repo, accent, enabled) {
+  const texture = useMemo(() => {
+    if (!enabled) return null;
+    const c = document.createElement("canvas");
+    c.width = CARD.w; c.height = CARD.h;
+    const g = c.getContext("2d");
+    g.fillStyle = "#0b1016";
+    g.fillRect(0, 0, CARD.w, CARD.h);
+    g.fillStyle = accent;
+    g.font = "bold 26px ui-monospace, Menlo, Consolas, monospace";
+    wrap(g, `> ${repo.name}`, CARD.w - 40).forEach((l, i) => g.fillText(l, 20, 52 + i * 32));
+    g.fillStyle = "#dbe7e7";
+    g.font = "18px ui-monospace, Menlo, Consolas, monospace";
+    wrap(g, repo.description || "", CARD.w - 40).slice(0, 12).forEach((l, i) => g.fillText(l, 20, 140 + i * 26));
+    g.globalAlpha = 0.7;
+    g.fillText([repo.language, ...(repo.featured.stack || [])].filter(Boolean).slice(0, 3).join(" · "), 20, CARD.h - 28);
+    const t = new THREE.CanvasTexture(c);
+    t.colorSpace = THREE.SRGBColorSpace;
+    return t;
+  }, [repo, accent, enabled]);
+  useEffect(() => () => texture?.dispose(), [texture]);
+  return texture;
+}
+
+function FeaturedBillboard({ repo, position, onOpen, reduced }) {
+  const { primary, text } = useSceneTheme();
+  const photo = useImageTexture(repo.featured.screenshots?.[0]);
+  const card = useCardTexture(repo, primary, !photo);
+  const map = photo || card;
+  const aspect = map?.image ? map.image.width / map.image.height : CARD.w / CARD.h;
+  const width = HEIGHT * aspect;
+  const [hovered, setHovered] = useState(false);
+  const group = useRef();
+  const scale = useMemo(() => new THREE.Vector3(), []);
+
+  useFrame(() => {
+    group.current?.scale.lerp(scale.setScalar(hovered ? 1.08 : 1), reduced ? 1 : 0.15);
+  });
+  useEffect(() => () => { document.body.style.cursor = ""; }, []);
+
+  return (
+    <Float enabled={!reduced} speed={1.1} floatIntensity={0.8} rotationIntensity={0.15}>
+      <Billboard position={position}>
+        <group ref={group}>
+          <mesh position={[0, 0, -0.01]}>
+            <planeGeometry args={[width + 0.08, HEIGHT + 0.08]} />
+            <meshBasicMaterial color={primary} transparent opacity={hovered ? 0.9 : 0.45} toneMapped={false} />
+          </mesh>
+          <mesh
+            onClick={e => { e.stopPropagation(); onOpen(repo); }}
+            onPointerOver={e => { e.stopPropagation(); setHovered(true); document.body.style.cursor = "pointer"; }}
+            onPointerOut={() => { setHovered(false); document.body.style.cursor = ""; }}
+          >
+            <planeGeometry args={[width, HEIGHT]} />
+            <meshBasicMaterial map={map} toneMapped={false} />
+          </mesh>
+          <SceneText fontSize={0.2} position={[0, -HEIGHT / 2 - 0.25, 0]} anchorX="center" anchorY="middle" color={text}>
+            {repo.name}
+          </SceneText>
+        </group>
+      </Billboard>
+    </Float>
+  );
+}
+
+export default function FeaturedBillboards({ repos, onOpen, reduced = false }) {
+  const featured = useMemo(
+    () => repos.filter(r => r.featured).sort((a, b) => a.featured.rank - b.featured.rank).slice(0, MAX_BILLBOARDS),
+    [repos]
+  );
+  return featured.map((r, i) => <FeaturedBillboard key={r.id} repo={r} position={slot(i)} onOpen={onOpen} reduced={reduced} />);
+}
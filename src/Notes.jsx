@@ -0,0 +1,116 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useI18n } from "./i18n.jsx";
+import { facetCounts } from "./repoQuery.js";
+import { StatChip, TerminalWindow, inPage } from "./ui.jsx";
+import { hrefFor } from "./urlState.js";
+
+/**
+ * The `~/notes` window and the note reader. Posts come from `virtual:notes`
+ * (see plugins/notes.js) already rendered and highlighted, so the HTML is
+ * trusted build output and goes straight into the page.
+ */
+
+// dates are calendar days; read them in UTC so they don't shift a day west of Greenwich
+const DAY = { timeZone: "UTC" };
+const chipClass = active => `px-3 py-1 rounded-full text-xs border font-mono ${active ? "bg-accent text-on-accent border-accent" : "bg-transparent border-accent/30 hover:bg-accent/10"}`;
+
+function NoteCard({ note, onOpen }) {
+  const { t, formatDate } = useI18n();
+  return (
+    <a href={hrefFor({ note: note.slug })} onClick={inPage(() => onOpen(note))} className="block group">
+      <article className="h-full rounded-xl p-4 border border-accent/20 bg-panel/40 hover:bg-panel/55 transition shadow-[0_0_40px_rgb(var(--glow)/0.08)] font-mono">
+        <div className="flex items-center justify-between gap-2 text-[11px] opacity-70">
+          <time dateTime={note.date}>{formatDate(note.date, DAY)}</time>
+          <span>{t("notes.minutes", { count: note.minutes })}</span>
+        </div>
+        <h3 className="mt-1 text-sm md:text-base font-semibold tracking-tight group-hover:text-accent transition-colors">{note.title}</h3>
+        {note.summary && <p className="mt-1 text-xs md:text-sm opacity-80 line-clamp-3">{note.summary}</p>}
+        <div className="mt-3 flex flex-wrap gap-2">
+          {note.draft && <StatChip>{t("notes.draft")}</StatChip>}
+          {note.tags.map(tag => <StatChip key={tag}>#{tag}</StatChip>)}
+        </div>
+      </article>
+    </a>
+  );
+}
+
+export default function Notes({ notes, view, onChange }) {
+  const { t } = useI18n();
+  const tags = useMemo(() => facetCounts(notes, n => n.tags), [notes]);
+  const shown = view.tag ? notes.filter(n => n.tags.includes(view.tag)) : notes;
+
+  return (
+    <TerminalWindow
+      id="notes"
+      title={t("notes.title")}
+      note={t("notes.count", { count: notes.length })}
+      className="mt-8"
+      actions={
+        <a href={`${import.meta.env.BASE_URL}feed.xml`} className="text-[10px] font-mono underline opacity-70 hover:text-accent">{t("notes.feed")}</a>
+      }
+    >
+      <div className="p-4 md:p-6 font-mono">
+        {tags.length > 0 && (
+          <div role="group" aria-label={t("notes.tags")} className="mb-4 flex flex-wrap gap-2">
+            <a href={hrefFor({ tag: null })} onClick={inPage(() => onChange({ tag: null }))} className={chipClass(!view.tag)}>{t("notes.allTags")}</a>
+            {tags.map(([tag, n]) => (
+              <a key={tag} href={hrefFor({ tag })} onClick={inPage(() => onChange({ tag }))} aria-current={view.tag === tag || undefined} className={chipClass(view.tag === tag)}>
+                #{tag} ({n})
+              </a>
+            ))}
+          </div>
+        )}
+        <div className="grid sm:grid-cols-2 xl:grid-cols-3 gap-3 md:gap-4">
+          {shown.map(n => <NoteCard key={n.slug} note={n} onOpen={note => onChange({ note: note.slug })} />)}
+          {shown.length === 0 && <div className="col-span-full text-sm opacity-80">{t("notes.empty")}</div>}
+        </div>
+      </div>
+    </TerminalWindow>
+  );
+}
+
+/**
+ * Full-height reader for one note, laid out like RepoDetail. Closes on Escape,
+ * the ✕ button or a backdrop click.
+ */
+export function NoteDetail({ note, onClose, onTag }) {
+  const { t, formatDate } = useI18n();
+  const closeRef = useRef();
+
+  useEffect(() => {
+    const onKey = e => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", onKey);
+    closeRef.current?.focus();
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-[60] flex justify-end bg-panel/70 backdrop-blur-sm" onClick={onClose}>
+      <div role="dialog" aria-modal="true" aria-labelledby="note-detail-title" className="h-full w-full max-w-3xl overflow-y-auto p-3 md:p-6" onClick={e => e.stopPropagation()}>
+        <TerminalWindow
+          title={`~/notes ▶ ${note.slug}.md`}
+          className="bg-surface/95"
+          actions={
+            <button ref={closeRef} onClick={onClose} aria-label={t("notes.close")} className="px-2 py-0.5 rounded-md border border-accent/30 hover:bg-accent/10">✕ esc</button>
+          }
+        >
+          <article className="p-4 md:p-6 space-y-4 font-mono">
+            <header>
+              <div className="text-xs opacity-70">
+                <time dateTime={note.date}>{formatDate(note.date, { ...DAY, dateStyle: "long" })}</time> · {t("notes.minutes", { count: note.minutes })}
+              </div>
+              <h2 id="note-detail-title" className="mt-1 text-lg md:text-xl font-semibold tracking-tight">{note.title}</h2>
+              <div className="mt-3 flex flex-wrap gap-2">
+                {note.draft && <StatChip>{t("notes.draft")}</StatChip>}
+                {note.tags.map(tag => (
+                  <a key={tag} href={hrefFor({ tag, note: null })} onClick={inPage(() => onTag(tag))}><StatChip>#{tag}</StatChip></a>
+                ))}
+              </div>
+            </header>
+            <div className="markdown" dangerouslySetInnerHTML={{ __html: note.html }} />
+          </article>
+        </TerminalWindow>
+      </div>
+    </div>
+  );
+}
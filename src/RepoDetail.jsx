@@ -0,0 +1,165 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useRepoDetail } from "./github.js";
+import { useI18n } from "./i18n.jsx";
+import { languageColor } from "./languages.js";
+import { decodeBase64, renderMarkdown } from "./markdown.js";
+import { StatChip, TerminalWindow } from "./ui.jsx";
+
+/**
+ * In-site repository panel: rendered README, language bar, latest commits,
+ * releases and license. Closes on Escape, the ✕ button or a backdrop click.
+ */
+function LanguageBar({ languages, fallback }) {
+  const { formatPercent } = useI18n();
+  const entries = Object.entries(languages || {}).filter(([, b]) => b > 0);
+  const total = entries.reduce((a, [, b]) => a + b, 0);
+  if (!total) return fallback ? <StatChip>{fallback}</StatChip> : null;
+  const parts = entries.sort((a, b) => b[1] - a[1]).map(([name, bytes]) => ({ name, share: bytes / total }));
+  return (
+    <div>
+      <div className="flex h-2 w-full overflow-hidden rounded-full bg-fg/5">
+        {parts.map(p => <span key={p.name} title={`${p.name} ${formatPercent(p.share)}`} style={{ width: `${p.share * 100}%`, background: languageColor(p.name) }} />)}
+      </div>
+      <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-[11px] font-mono opacity-80">
+        {parts.map(p => (
+          <span key={p.name} className="flex items-center gap-1.5">
+            <span className="h-2 w-2 rounded-full" style={{ background: languageColor(p.name) }} />
+            {p.name} {formatPercent(p.share)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Curated extras from `featured` in the config: role, stack, highlights, store links, screenshots.
+function Featured({ featured, name }) {
+  const { t } = useI18n();
+  return (
+    <div className="space-y-3">
+      {featured.role && <div className="text-xs"><span className="opacity-60">{t("detail.role")}</span> <span className="text-accent">{featured.role}</span></div>}
+      {featured.stack?.length > 0 && (
+        <div className="flex flex-wrap gap-2">{featured.stack.map(s => <StatChip key={s}>{s}</StatChip>)}</div>
+      )}
+      {featured.highlights?.length > 0 && (
+        <ul className="space-y-1 text-sm opacity-90">
+          {featured.highlights.map(h => <li key={h} className="flex gap-2"><span className="text-accent">▸</span>{h}</li>)}
+        </ul>
+      )}
+      {featured.store?.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {featured.store.map(l => (
+            <a key={l.href} href={l.href} target="_blank" rel="noreferrer" className="px-3 py-1 rounded-xl bg-accent text-on-accent text-xs font-semibold hover:opacity-90">{l.label} ↗</a>
+          ))}
+        </div>
+      )}
+      {featured.screenshots?.length > 0 && (
+        <div className="flex gap-3 overflow-x-auto pb-2">
+          {featured.screenshots.map((src, i) => (
+            <a key={src} href={src} target="_blank" rel="noreferrer" className="shrink-0">
+              <img src={src} alt={t("detail.screenshot", { name, n: i + 1 })} loading="lazy" className="h-64 rounded-lg border border-accent/20 object-contain" />
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function RepoDetail({ repo, onClose }) {
+  const { readme, commits, releases, loading, error, fullName } = useRepoDetail(repo);
+  const { t, formatDate } = useI18n();
+  const closeRef = useRef();
+
+  useEffect(() => {
+    const onKey = e => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", onKey);
+    closeRef.current?.focus();
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const html = useMemo(() => {
+    if (!readme?.content) return null;
+    return renderMarkdown(decodeBase64(readme.content), { fullName, branch: repo.default_branch || "HEAD", path: readme.path });
+  }, [readme, fullName, repo.default_branch]);
+
+  const license = repo.license?.spdx_id && repo.license.spdx_id !== "NOASSERTION" ? repo.license.spdx_id : repo.license?.name;
+
+  return (
+    <div className="fixed inset-0 z-[60] flex justify-end bg-panel/70 backdrop-blur-sm" onClick={onClose}>
+      <div role="dialog" aria-modal="true" aria-labelledby="repo-detail-title" className="h-full w-full max-w-3xl overflow-y-auto p-3 md:p-6" onClick={e => e.stopPropagation()}>
+        <TerminalWindow
+          title={`~/repos ▶ ${repo.name}`}
+          className="bg-surface/95"
+          actions={
+            <button ref={closeRef} onClick={onClose} aria-label={t("detail.close")} className="px-2 py-0.5 rounded-md border border-accent/30 hover:bg-accent/10">✕ esc</button>
+          }
+        >
+          <div className="p-4 md:p-6 space-y-6 font-mono">
+            <div>
+              <div className="flex items-center justify-between gap-3">
+                <h2 id="repo-detail-title" className="text-lg md:text-xl font-semibold tracking-tight">{repo.name}</h2>
+                {repo.html_url && (
+                  <a href={repo.html_url} target="_blank" rel="noreferrer" className="text-xs underline opacity-90 hover:text-accent">
+                    {repo.provider === "github" ? t("detail.openOnGitHub") : t("detail.openOn", { host: repo.host })}
+                  </a>
+                )}
+              </div>
+              {repo.description && <p className="mt-1 text-sm opacity-80">{repo.description}</p>}
+              <div className="mt-3 flex flex-wrap gap-2">
+                <StatChip>★ {repo.stargazers_count || 0}</StatChip>
+                {license && <StatChip>{t("detail.license", { license })}</StatChip>}
+                {repo.topics?.map(t => <StatChip key={t}>#{t}</StatChip>)}
+              </div>
+            </div>
+
+            {repo.featured && <Featured featured={repo.featured} name={repo.name} />}
+
+            <LanguageBar languages={repo.languages} fallback={repo.language} />
+
+            {loading && <div className="text-sm opacity-80">{t("detail.fetching", { name: fullName })}</div>}
+            {error && <div className="text-xs text-amber-300/90">[{error}]</div>}
+
+            {commits.length > 0 && (
+              <div>
+                <div className="text-xs opacity-70 mb-2">$ git log --oneline -{commits.length}</div>
+                <ul className="space-y-1 text-xs">
+                  {commits.map(c => (
+                    <li key={c.sha} className="flex gap-2">
+                      <a href={c.html_url} target="_blank" rel="noreferrer" className="text-accent hover:underline">{c.sha.slice(0, 7)}</a>
+                      <span className="flex-1 truncate opacity-90">{c.commit.message.split("\n")[0]}</span>
+                      <span className="opacity-60 whitespace-nowrap">{formatDate(c.commit.author?.date)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {releases.length > 0 && (
+              <div>
+                <div className="text-xs opacity-70 mb-2">{t("detail.releases")}</div>
+                <ul className="space-y-1 text-xs">
+                  {releases.map(r => (
+                    <li key={r.id} className="flex gap-2">
+                      <a href={r.html_url} target="_blank" rel="noreferrer" className="text-accent hover:underline">{r.tag_name}</a>
+                      <span className="flex-1 truncate opacity-90">{r.name || ""}</span>
+                      {r.published_at && <span className="opacity-60 whitespace-nowrap">{formatDate(r.published_at)}</span>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {html && (
+              <div>
+                <div className="text-xs opacity-70 mb-2">$ cat {readme.path}</div>
+                <div className="markdown rounded-xl border border-accent/20 bg-panel/40 p-4" dangerouslySetInnerHTML={{ __html: html }} />
+              </div>
+            )}
+            {fullName && !loading && !readme && <div className="text-xs opacity-60">{t("detail.noReadme")}</div>}
+          </div>
+        </TerminalWindow>
+      </div>
+    </div>
+  );
+}
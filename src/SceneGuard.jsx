@@ -0,0 +1,109 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { logError } from "./errorLog.js";
+import { useI18n } from "./i18n.jsx";
+
+/**
+ * Keeps a failing 3D scene from taking the page down with it. An error thrown
+ * inside the Canvas (a font that won't load, a shader that won't compile) is
+ * caught by SceneErrorBoundary; a lost WebGL context is waited on for a few
+ * seconds and the scene rebuilt when the browser restores it. Either way the
+ * DOM content keeps working and SceneDiagnostics offers a "retry 3D".
+ */
+const RESTORE_TIMEOUT = 4000;
+
+export class SceneErrorBoundary extends React.Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    this.props.onError(error, info);
+  }
+
+  render() {
+    return this.state.error ? this.props.fallback ?? null : this.props.children;
+  }
+}
+
+function describeRenderer(gl) {
+  const ctx = gl.getContext();
+  const debug = ctx.getExtension("WEBGL_debug_renderer_info");
+  return {
+    webgl: gl.capabilities.isWebGL2 ? "WebGL 2" : "WebGL 1",
+    gpu: debug ? ctx.getParameter(debug.UNMASKED_RENDERER_WEBGL) : ctx.getParameter(ctx.RENDERER),
+  };
+}
+
+/**
+ * @returns {{ key: number, failure: null | { kind: "error" | "lost" | "restoring", message: string },
+ *   renderer: null | { webgl: string, gpu: string }, onCreated: (state: object) => void,
+ *   onError: (error: Error, info?: object) => void, retry: () => void }}
+ *   Spread `key` onto SceneErrorBoundary and pass `onCreated` to the Canvas.
+ */
+export function useSceneGuard() {
+  const [key, setKey] = useState(0);
+  const [failure, setFailure] = useState(null);
+  const [renderer, setRenderer] = useState(null);
+  const cleanup = useRef(() => {});
+
+  const retry = useCallback(() => {
+    cleanup.current();
+    setFailure(null);
+    setKey(k => k + 1);
+  }, []);
+
+  const onError = useCallback((error, info) => {
+    logError(error, { source: "scene", componentStack: info?.componentStack });
+    setFailure({ kind: "error", message: error?.message || String(error) });
+  }, []);
+
+  const onCreated = useCallback(({ gl }) => {
+    cleanup.current();
+    try { setRenderer(describeRenderer(gl)); } catch { /* diagnostics only */ }
+    const canvas = gl.domElement;
+    let timer;
+    const lost = e => {
+      e.preventDefault(); // tells the browser we want the context back
+      logError(new Error("WebGL context lost"), { source: "scene" });
+      setFailure({ kind: "restoring", message: "WebGL context lost" });
+      timer = setTimeout(() => setFailure({ kind: "lost", message: "WebGL context lost" }), RESTORE_TIMEOUT);
+    };
+    // three.js re-uploads little on its own after a restore; remounting the Canvas rebuilds everything
+    const restored = () => { clearTimeout(timer); retry(); };
+    canvas.addEventListener("webglcontextlost", lost);
+    canvas.addEventListener("webglcontextrestored", restored);
+    cleanup.current = () => {
+      clearTimeout(timer);
+      canvas.removeEventListener("webglcontextlost", lost);
+      canvas.removeEventListener("webglcontextrestored", restored);
+    };
+  }, [retry]);
+
+  useEffect(() => () => cleanup.current(), []);
+
+  return { key, failure, renderer, onCreated, onError, retry };
+}
+
+export function SceneDiagnostics({ failure, renderer, tier, onRetry }) {
+  const { t } = useI18n();
+  if (!failure) return null;
+  const restoring = failure.kind === "restoring";
+  return (
+    <div role="alert" className="absolute left-1/2 top-6 z-20 w-[min(92vw,26rem)] -translate-x-1/2 rounded-xl border border-amber-300/40 bg-panel/80 p-3 text-xs font-mono backdrop-blur">
+      <div className="text-amber-300">{t(restoring ? "scene.restoring" : failure.kind === "lost" ? "scene.lost" : "scene.failed")}</div>
+      <details className="mt-2 opacity-80">
+        <summary className="cursor-pointer">{t("scene.details")}</summary>
+        <dl className="mt-1 grid grid-cols-[auto_1fr] gap-x-3 break-all">
+          <dt className="opacity-60">error</dt><dd>{failure.message}</dd>
+          {renderer && <><dt className="opacity-60">context</dt><dd>{renderer.webgl}</dd><dt className="opacity-60">gpu</dt><dd>{renderer.gpu}</dd></>}
+          <dt className="opacity-60">gfx</dt><dd>{tier}</dd>
+        </dl>
+      </details>
+      {!restoring && (
+        <button onClick={onRetry} className="mt-3 px-3 py-1 rounded-lg border border-accent/30 hover:bg-accent/10">{t("scene.retry")}</button>
+      )}
+    </div>
+  );
+}
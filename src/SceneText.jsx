@@ -0,0 +1,16 @@
+import { Text } from "@react-three/drei";
+import React, { Suspense, forwardRef } from "react";
+import { useI18n } from "./i18n.jsx";
+
+// drei <Text> in the active locale's font. Each one suspends on its own, so a
+// font swap doesn't blank the rest of the scene. The ref is the troika mesh.
+const SceneText = forwardRef(function SceneText(props, ref) {
+  const { font, locale } = useI18n();
+  return (
+    <Suspense fallback={null}>
+      <Text ref={ref} font={font} lang={locale} {...props} />
+    </Suspense>
+  );
+});
+
+export default SceneText;
@@ -0,0 +1,164 @@
+import { useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { forwardRef, useCallback, useImperativeHandle, useMemo, useRef, useState } from "react";
+import { backdropSvg, snapshotSvg } from "./snapshotCard.js";
+
+/**
+ * Snapshots of the hero: the current camera view rendered at a chosen size
+ * with the snapshot card (snapshotCard.js) on top, saved as a PNG or handed to
+ * the Web Share API.
+ *
+ * <SnapshotRig> sits inside the Canvas. It renders one extra frame at the
+ * requested size and copies it out before the browser can clear the drawing
+ * buffer, so the Canvas doesn't need `preserveDrawingBuffer` (which costs every
+ * frame). Without a rig (no WebGL, or the scene crashed) the card goes over the
+ * same flat backdrop as the OpenGraph image.
+ */
+export const SnapshotRig = forwardRef(function SnapshotRig(_, ref) {
+  const { gl, scene, camera } = useThree();
+
+  useImperativeHandle(ref, () => ({
+    capture(width, height) {
+      const context = gl.getContext();
+      const limit = context.getParameter(context.MAX_RENDERBUFFER_SIZE);
+      if (width > limit || height > limit) throw new Error(`this GPU renders at most ${limit}×${limit}`);
+      const size = gl.getSize(new THREE.Vector2());
+      const ratio = gl.getPixelRatio();
+      const aspect = camera.aspect;
+      const out = document.createElement("canvas");
+      out.width = width;
+      out.height = height;
+      try {
+        gl.setPixelRatio(1);
+        gl.setSize(width, height, false);
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        gl.render(scene, camera);
+        out.getContext("2d").drawImage(gl.domElement, 0, 0);
+      } finally {
+        gl.setPixelRatio(ratio);
+        gl.setSize(size.x, size.y, false);
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+        gl.render(scene, camera); // the resize cleared the visible frame
+      }
+      return out;
+    },
+  }), [gl, scene, camera]);
+
+  return null;
+});
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("couldn't draw the card"));
+    img.src = src;
+  });
+}
+
+// The card's SVG is drawn as an image, which can't fetch, so the avatar goes in inline.
+async function inlineImage(url) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return undefined;
+    const blob = await res.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = reject;
+      reader.readAsDataURL(blob);
+    });
+  } catch {
+    return undefined; // the card shows the initial instead
+  }
+}
+
+/**
+ * Renders a snapshot to a PNG blob. `rig` is the SnapshotRig handle, or null
+ * for the flat backdrop; the rest is what snapshotSvg() takes, except that
+ * `avatar` is a URL.
+ */
+export async function renderSnapshot({ rig, width, height, planets, theme, avatar, ...card }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const g = canvas.getContext("2d");
+  if (rig) g.drawImage(rig.capture(width, height), 0, 0);
+  const svg = snapshotSvg({
+    ...card, width, height, theme,
+    avatar: avatar && await inlineImage(avatar),
+    backdrop: rig ? "" : backdropSvg({ width, height, planets, theme }),
+  });
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  try {
+    g.drawImage(await loadImage(url), 0, 0, width, height);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+  return new Promise((resolve, reject) => canvas.toBlob(b => (b ? resolve(b) : reject(new Error("the browser couldn't encode the PNG"))), "image/png"));
+}
+
+export function canShareFiles() {
+  try {
+    return !!navigator.canShare?.({ files: [new File([""], "snapshot.png", { type: "image/png" })] });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Shares the PNG when asked and the browser can share files, otherwise
+ * downloads it. Resolves to "shared", "saved" or "cancelled".
+ */
+export async function deliverSnapshot(blob, fileName, { share = false, title, text } = {}) {
+  const file = new File([blob], fileName, { type: "image/png" });
+  if (share && navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title, text });
+      return "shared";
+    } catch (e) {
+      if (e.name === "AbortError") return "cancelled";
+      // NotAllowedError: rendering outlasted the click's user activation — download instead
+    }
+  }
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 10_000);
+  return "saved";
+}
+
+/**
+ * `take([width, height], { share })` renders and delivers a snapshot of the
+ * card (see renderSnapshot) and resolves to `{ fileName, how }`; one at a time.
+ * A share carries the page's current URL, so it opens on the same view.
+ * @returns {{ take: Function, busy: boolean, canShare: boolean }}
+ */
+export function useSnapshot({ rig, card, planets, theme }) {
+  const [busy, setBusy] = useState(false);
+  const running = useRef(false);
+  const canShare = useMemo(canShareFiles, []);
+
+  const take = useCallback(async ([width, height], { share = false } = {}) => {
+    if (running.current) throw new Error("already taking one");
+    running.current = true;
+    setBusy(true);
+    try {
+      const blob = await renderSnapshot({ rig: rig.current, width, height, planets, theme, ...card });
+      const slug = card.name.toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, "-").replace(/^-|-$/g, "") || "snapshot";
+      const fileName = `${slug}-${width}x${height}.png`;
+      const how = await deliverSnapshot(blob, fileName, { share, title: card.name, text: [card.tagline, window.location.href].filter(Boolean).join(" — ") });
+      return { fileName, how };
+    } finally {
+      running.current = false;
+      setBusy(false);
+    }
+  }, [rig, card, planets, theme]);
+
+  return { take, busy, canShare };
+}
@@ -0,0 +1,61 @@
+import React from "react";
+import { useI18n } from "./i18n.jsx";
+
+/**
+ * Flat SVG stand-in for the Canvas hero when WebGL isn't available: the same
+ * planets (projected from their scene positions), a ring for the centre piece
+ * and the name/tagline. Planets stay clickable; keyboard users still have
+ * PlanetNav.
+ */
+const CAMERA_Z = 9;
+const HALF_FOV_TAN = Math.tan((42 / 2) * (Math.PI / 180));
+const HALF_HEIGHT = 90; // viewBox is 320×180
+
+function project([x, y, z], r = 0) {
+  const scale = HALF_HEIGHT / ((CAMERA_Z - z) * HALF_FOV_TAN);
+  return { x: x * scale, y: -y * scale, r: r * scale };
+}
+
+export default function StaticHero({ name, tagline, planets, palette, active, onActivate }) {
+  const { t, formatPercent } = useI18n();
+  const floor = Array.from({ length: 9 }, (_, i) => 40 + i * i * 0.7);
+
+  return (
+    <div className="absolute inset-0 flex items-center justify-center overflow-hidden">
+      <svg viewBox="-160 -90 320 180" preserveAspectRatio="xMidYMid slice" className="h-full w-full" aria-hidden="true">
+        <defs>
+          <radialGradient id="static-hero-planet" cx="35%" cy="35%" r="70%">
+            <stop offset="0%" stopColor="#fff" stopOpacity="0.55" />
+            <stop offset="100%" stopColor="#fff" stopOpacity="0" />
+          </radialGradient>
+        </defs>
+        <g stroke={palette.grid} strokeOpacity="0.35" strokeWidth="0.3">
+          {floor.map(y => <line key={y} x1="-160" x2="160" y1={y} y2={y} />)}
+          {Array.from({ length: 17 }, (_, i) => (i - 8) * 20).map(x => <line key={x} x1={x * 0.3} y1="40" x2={x * 2.5} y2="90" />)}
+        </g>
+        <g fill="none" strokeWidth="1.2">
+          <ellipse cx="0" cy={project([0, 0.2, 0]).y} rx="24" ry="9" stroke={palette.primary} transform="rotate(-18)" />
+          <ellipse cx="0" cy={project([0, 0.2, 0]).y} rx="24" ry="9" stroke={palette.highlight} strokeOpacity="0.6" transform="rotate(30)" />
+        </g>
+        <text x="0" y={project([0, 1.2, 0]).y} textAnchor="middle" fill={palette.text} fontSize="16" fontWeight="600" className="font-mono">
+          {name.toUpperCase()}
+        </text>
+        <text x="0" y={project([0, 0.3, 0]).y + 6} textAnchor="middle" fill={palette.text} fillOpacity="0.8" fontSize="5" className="font-mono">
+          {tagline}
+        </text>
+        {planets.map(p => {
+          const c = project(p.pos, p.radius);
+          return (
+            <g key={p.label} onClick={() => onActivate(p.label)} className="cursor-pointer">
+              <circle cx={c.x} cy={c.y} r={c.r * (active === p.label ? 1.18 : 1)} fill={p.color} />
+              <circle cx={c.x} cy={c.y} r={c.r} fill="url(#static-hero-planet)" />
+              <text x={c.x} y={c.y + c.r + 6} textAnchor="middle" fill={palette.text} fontSize="4.5" className="font-mono">{p.label}</text>
+              <text x={c.x} y={c.y + c.r + 10.5} textAnchor="middle" fill={palette.text} fillOpacity="0.7" fontSize="3" className="font-mono">{formatPercent(p.share)}</text>
+            </g>
+          );
+        })}
+      </svg>
+      <div className="absolute bottom-24 text-[11px] opacity-60 font-mono">{t("hero.noWebgl")}</div>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import React from "react";
+import { useI18n } from "./i18n.jsx";
+import { OTHER_LABEL } from "./languages.js";
+import { TerminalWindow, inPage } from "./ui.jsx";
+import { hrefFor } from "./urlState.js";
+
+/**
+ * The `~ ▶ stats` window: language share by bytes and by repo count, stars per
+ * repo, repos per year and the most-used topics, drawn as plain SVG in the
+ * theme's colours from repoStats(). Languages and topics link to the matching
+ * project-list view (`onFilter` gets the view patch); repos open their detail.
+ */
+const R = 42;
+const CIRCUMFERENCE = 2 * Math.PI * R;
+const WIDTH = 400;
+const ROW = 18;
+const glow = "drop-shadow-[0_0_4px_rgb(var(--glow)/0.55)]";
+
+function Chart({ title, children }) {
+  return (
+    <figure className="rounded-xl border border-accent/20 bg-panel/40 p-4">
+      <figcaption className="mb-3 text-xs opacity-70"># {title}</figcaption>
+      {children}
+    </figure>
+  );
+}
+
+function Donut({ slices, total, onPick }) {
+  const { formatPercent } = useI18n();
+  let offset = 0;
+  return (
+    <div className="flex items-center gap-4">
+      <svg viewBox="0 0 120 120" className={`w-28 shrink-0 -rotate-90 ${glow}`} aria-hidden="true">
+        <circle cx="60" cy="60" r={R} fill="none" strokeWidth="14" className="stroke-accent/10" />
+        {slices.map(s => {
+          const arc = (
+            <circle
+              key={s.label} cx="60" cy="60" r={R} fill="none" stroke={s.color} strokeWidth="14"
+              strokeDasharray={`${s.share * CIRCUMFERENCE} ${CIRCUMFERENCE}`} strokeDashoffset={-offset * CIRCUMFERENCE}
+              className="transition-[stroke-dasharray,stroke-dashoffset] duration-700"
+            />
+          );
+          offset += s.share;
+          return arc;
+        })}
+        <text x="60" y="60" textAnchor="middle" dominantBaseline="central" transform="rotate(90 60 60)" className="fill-fg text-[13px] font-semibold">{total}</text>
+      </svg>
+      <ul className="min-w-0 flex-1 space-y-1 text-xs">
+        {slices.map(s => (
+          <li key={s.label} className="flex items-center gap-2">
+            <span className="h-2.5 w-2.5 shrink-0 rounded-full" style={{ background: s.color }} />
+            {s.label === OTHER_LABEL ? (
+              <span className="truncate">{s.label}</span>
+            ) : (
+              <a href={hrefFor({ filter: s.label, active: null })} onClick={inPage(() => onPick(s.label))} className="truncate hover:text-accent">{s.label}</a>
+            )}
+            <span className="ml-auto opacity-70">{formatPercent(s.share)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Horizontal bars, one linked row per item; the links carry the text for screen readers.
+function Bars({ items, href, onPick, prefix = "" }) {
+  const { formatNumber } = useI18n();
+  const max = Math.max(...items.map(i => i.value), 1);
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${items.length * ROW}`} className="w-full max-w-md">
+      {items.map((item, i) => (
+        <a key={item.label} href={href(item)} onClick={inPage(() => onPick(item))} className="group">
+          <text x="0" y={i * ROW + 12} className="fill-fg text-[10px] group-hover:fill-accent">{item.label.length > 22 ? `${item.label.slice(0, 21)}…` : item.label}</text>
+          <rect x="150" y={i * ROW + 4} width="200" height="10" rx="2" className="fill-accent/10" />
+          <rect
+            x="150" y={i * ROW + 4} width="200" height="10" rx="2"
+            className={`fill-accent/70 group-hover:fill-accent transition-transform duration-700 ${glow}`}
+            style={{ transform: `scaleX(${item.value / max})`, transformBox: "fill-box", transformOrigin: "left" }}
+          />
+          <text x="356" y={i * ROW + 12} className="fill-fg text-[10px] opacity-70">{prefix}{formatNumber(item.value)}</text>
+        </a>
+      ))}
+    </svg>
+  );
+}
+
+function Columns({ years, summary }) {
+  const { formatNumber } = useI18n();
+  const max = Math.max(...years.map(y => y.value), 1);
+  const width = WIDTH / years.length;
+  const every = Math.ceil(years.length / 10); // keep the year labels from colliding
+  return (
+    <svg viewBox={`0 0 ${WIDTH} 110`} className="w-full max-w-md" role="img" aria-label={summary}>
+      <line x1="0" x2={WIDTH} y1="90.5" y2="90.5" className="stroke-accent/30" />
+      {years.map((y, i) => {
+        const h = (y.value / max) * 76;
+        return (
+          <g key={y.year}>
+            <rect
+              x={i * width + width * 0.2} y="14" width={width * 0.6} height="76" rx="2"
+              className={`fill-accent/70 transition-transform duration-700 ${glow}`}
+              style={{ transform: `scaleY(${h / 76})`, transformBox: "fill-box", transformOrigin: "bottom" }}
+            />
+            {y.value > 0 && <text x={i * width + width / 2} y={86 - h} textAnchor="middle" className="fill-fg text-[10px] opacity-80">{formatNumber(y.value)}</text>}
+            {i % every === 0 && <text x={i * width + width / 2} y="104" textAnchor="middle" className="fill-fg text-[10px] opacity-60">{y.year}</text>}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default function StatsPanel({ stats, onFilter, onOpen, cloud, onToggleCloud }) {
+  const { t, tag, formatNumber } = useI18n();
+  const bytes = `${new Intl.NumberFormat(tag, { notation: "compact" }).format(stats.totals.bytes)}B`;
+  const empty = <p className="text-xs opacity-60">{t("dashboard.empty")}</p>;
+
+  return (
+    <TerminalWindow
+      id="stats"
+      title={t("dashboard.title")}
+      note={t("dashboard.totals", { repos: stats.totals.repos, stars: stats.totals.stars, topics: stats.totals.topics })}
+      className="mt-8"
+      actions={onToggleCloud && (
+        <button onClick={onToggleCloud} aria-pressed={cloud} className="px-2 py-0.5 rounded-md border border-accent/30 text-[10px] font-mono hover:bg-accent/10">
+          {t(cloud ? "dashboard.cloudHide" : "dashboard.cloudShow")}
+        </button>
+      )}
+    >
+      <div className="grid gap-4 p-4 font-mono md:grid-cols-2 md:p-6">
+        <Chart title={t("dashboard.bytes")}>
+          {stats.bytes.length ? <Donut slices={stats.bytes} total={bytes} onPick={filter => onFilter({ filter, active: null })} /> : empty}
+        </Chart>
+        <Chart title={t("dashboard.repoCount")}>
+          {stats.repoCount.length ? <Donut slices={stats.repoCount} total={formatNumber(stats.totals.repos)} onPick={filter => onFilter({ filter, active: null })} /> : empty}
+        </Chart>
+        <Chart title={t("dashboard.stars")}>
+          {stats.stars.length ? (
+            <Bars items={stats.stars.map(s => ({ ...s, label: s.name }))} prefix="★ " href={s => hrefFor({ repo: s.name })} onPick={s => onOpen(s.name)} />
+          ) : <p className="text-xs opacity-60">{t("dashboard.noStars")}</p>}
+        </Chart>
+        <Chart title={t("dashboard.years")}>
+          {stats.years.length ? <Columns years={stats.years} summary={stats.years.map(y => `${y.year}: ${formatNumber(y.value)}`).join(", ")} /> : empty}
+        </Chart>
+        <Chart title={t("dashboard.topics")}>
+          {stats.topics.length ? (
+            <Bars items={stats.topics.map(s => ({ ...s, label: `#${s.topic}` }))} href={s => hrefFor({ topic: s.topic })} onPick={s => onFilter({ topic: s.topic })} />
+          ) : <p className="text-xs opacity-60">{t("dashboard.noTopics")}</p>}
+        </Chart>
+      </div>
+    </TerminalWindow>
+  );
+}
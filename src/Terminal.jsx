@@ -0,0 +1,74 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useI18n } from "./i18n.jsx";
+import { completeLine, runLine } from "./shell.js";
+import { TerminalWindow } from "./ui.jsx";
+
+/**
+ * Interactive shell window. ↑/↓ walk the history, Tab completes; the commands
+ * themselves live in shell.js and, like any shell, stay in English.
+ */
+const TONES = { out: "opacity-90", dim: "opacity-50", err: "text-rose-300", ok: "text-accent", cmd: "opacity-70" };
+const WELCOME = [{ text: "type `help` to see what this terminal can do", tone: "dim" }];
+
+export default function Terminal({ ctx, prompt = "~" }) {
+  const { t } = useI18n();
+  const [lines, setLines] = useState(WELCOME);
+  const [input, setInput] = useState("");
+  const history = useRef([]);
+  const cursor = useRef(0);
+  const shell = useRef({ cwd: "~" });
+  const screen = useRef();
+  const inputRef = useRef();
+
+  useEffect(() => {
+    screen.current?.scrollTo({ top: screen.current.scrollHeight });
+  }, [lines]);
+  // for commands that finish after they return (snapshot)
+  useEffect(() => {
+    shell.current.print = more => setLines(ls => [...ls, ...more]);
+  }, []);
+
+  const submit = () => {
+    const line = input.trim();
+    const echo = { text: `${shell.current.cwd} $ ${input}`, tone: "cmd" };
+    setInput("");
+    if (!line) { setLines(ls => [...ls, echo]); return; }
+    history.current = [...history.current.filter(h => h !== line), line].slice(-50);
+    cursor.current = history.current.length;
+    const result = runLine(line, ctx, shell.current);
+    setLines(ls => result === null ? [] : [...ls, echo, ...result]);
+  };
+
+  const onKeyDown = e => {
+    if (e.key === "Enter") { e.preventDefault(); submit(); }
+    else if (e.key === "Tab") {
+      e.preventDefault();
+      const { line, options } = completeLine(input, ctx);
+      setInput(line);
+      if (options.length) setLines(ls => [...ls, { text: options.join("  "), tone: "dim" }]);
+    } else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+      e.preventDefault();
+      const h = history.current;
+      cursor.current = Math.max(0, Math.min(h.length, cursor.current + (e.key === "ArrowUp" ? -1 : 1)));
+      setInput(h[cursor.current] ?? "");
+    } else if (e.key === "l" && e.ctrlKey) { e.preventDefault(); setLines([]); }
+  };
+
+  return (
+    <TerminalWindow title={`${prompt} ▶ shell`} note={t("shell.note")} className="mb-6">
+      <div className="p-3 md:p-4 font-mono text-xs md:text-sm" onClick={() => inputRef.current?.focus()}>
+        <div ref={screen} className="max-h-56 overflow-y-auto whitespace-pre-wrap" role="log" aria-live="polite">
+          {lines.map((l, i) => <div key={i} className={TONES[l.tone]}>{l.text}</div>)}
+        </div>
+        <label className="mt-1 flex items-center gap-2">
+          <span className="text-accent whitespace-nowrap">{shell.current.cwd} $</span>
+          <input
+            ref={inputRef} value={input} onChange={e => setInput(e.target.value)} onKeyDown={onKeyDown}
+            aria-label={t("shell.input")} autoComplete="off" autoCapitalize="off" spellCheck={false}
+            className="flex-1 bg-transparent outline-none caret-accent"
+          />
+        </label>
+      </div>
+    </TerminalWindow>
+  );
+}
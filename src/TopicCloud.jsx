@@ -0,0 +1,72 @@
+import { Billboard } from "@react-three/drei";
+import { useFrame } from "@react-three/fiber";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import SceneText from "./SceneText.jsx";
+import { useSceneTheme } from "./theme.jsx";
+
+/**
+ * Repo topics as a slowly turning sphere of words behind the centre piece,
+ * sized by how many repos use them. Clicking a topic sets the `topic` facet of
+ * the project list (clicking the active one clears it). Off by default; the
+ * stats panel switches it on and the choice is remembered.
+ */
+const STORAGE_KEY = "portfolio:topic-cloud";
+const SPIN = 0.06; // rad/s
+
+// Evenly spread points on a sphere (golden-angle spiral).
+function spherePoints(n, radius) {
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  return Array.from({ length: n }, (_, i) => {
+    const y = n === 1 ? 0 : 1 - (i / (n - 1)) * 2;
+    const r = Math.sqrt(1 - y * y);
+    return [Math.cos(golden * i) * r * radius, y * radius * 0.7, Math.sin(golden * i) * r * radius];
+  });
+}
+
+export function useTopicCloudSetting() {
+  const [on, setOn] = useState(() => {
+    try { return localStorage.getItem(STORAGE_KEY) === "on"; } catch { return false; }
+  });
+  useEffect(() => {
+    try { localStorage.setItem(STORAGE_KEY, on ? "on" : "off"); } catch { /* private mode */ }
+  }, [on]);
+  const toggle = useCallback(() => setOn(v => !v), []);
+  return [on, toggle];
+}
+
+function Topic({ topic, count, max, position, active, onSelect }) {
+  const { primary, highlight, text } = useSceneTheme();
+  const [hovered, setHovered] = useState(false);
+  useEffect(() => () => { document.body.style.cursor = ""; }, []);
+  return (
+    <Billboard position={position}>
+      <SceneText
+        fontSize={0.22 + 0.26 * (count / max)} anchorX="center" anchorY="middle"
+        color={active ? highlight : hovered ? primary : text} fillOpacity={active || hovered ? 1 : 0.7}
+        onClick={e => { e.stopPropagation(); onSelect(active ? null : topic); }}
+        onPointerOver={e => { e.stopPropagation(); setHovered(true); document.body.style.cursor = "pointer"; }}
+        onPointerOut={() => { setHovered(false); document.body.style.cursor = ""; }}
+      >
+        #{topic}
+      </SceneText>
+    </Billboard>
+  );
+}
+
+export default function TopicCloud({ topics, active, onSelect, reduced = false, position = [0, 1.3, -6], radius = 3.2 }) {
+  const group = useRef();
+  const points = useMemo(() => spherePoints(topics.length, radius), [topics.length, radius]);
+  const max = Math.max(...topics.map(t => t.value), 1);
+
+  useFrame((_, delta) => {
+    if (group.current && !reduced) group.current.rotation.y += delta * SPIN;
+  });
+
+  return (
+    <group ref={group} position={position}>
+      {topics.map((t, i) => (
+        <Topic key={t.topic} topic={t.topic} count={t.value} max={max} position={points[i]} active={active === t.topic} onSelect={onSelect} />
+      ))}
+    </group>
+  );
+}
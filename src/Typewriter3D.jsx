@@ -0,0 +1,88 @@
+import { useFrame } from "@react-three/fiber";
+import * as THREE from "three";
+import React, { forwardRef, useEffect, useImperativeHandle, useMemo, useRef } from "react";
+import SceneText from "./SceneText.jsx";
+import { useSceneTheme } from "./theme.jsx";
+import { CURSORS, compileScript, createSequence, maxLines } from "./typewriter.js";
+
+/**
+ * The 3D typewriter intro. Plays a script (see typewriter.js) from useFrame
+ * time and writes each line straight into its troika text mesh, so typing
+ * costs no React renders. One text slot per line the script can show, the
+ * first a little larger.
+ *
+ * The ref exposes `play()`, `skip()` (show the finished text) and `replay()`.
+ * `instant` (reduced motion) shows the finished text and keeps the cursor still.
+ */
+const BLINK = 0.7; // seconds per cursor on/off cycle
+
+const Typewriter3D = forwardRef(function Typewriter3D({ script, position = [0, 2.2, 0], color, instant = false, autoplay = true }, ref) {
+  const palette = useSceneTheme();
+  const ops = useMemo(() => compileScript(script), [script]);
+  const seq = useMemo(() => createSequence(ops), [ops]);
+  const slots = useMemo(() => maxLines(ops), [ops]);
+  const playing = useRef(autoplay);
+  const group = useRef();
+  const texts = useRef([]);
+  const shown = useRef([]);
+  const goal = useMemo(() => ({ position: new THREE.Vector3(position[0], position[1] + 0.25, position[2]), scale: new THREE.Vector3(1, 1, 1) }), [position]);
+
+  useEffect(() => { if (instant) seq.skip(); }, [seq, instant]);
+  // the palette decides span colours, so a theme switch repaints every line
+  useEffect(() => { shown.current = []; }, [palette, color]);
+
+  useImperativeHandle(ref, () => ({
+    play() { playing.current = true; },
+    skip() { seq.skip(); },
+    replay() {
+      seq.reset();
+      playing.current = true;
+      if (instant) seq.skip();
+    },
+  }), [seq, instant]);
+
+  useFrame(({ clock }, delta) => {
+    if (group.current) {
+      group.current.position.lerp(goal.position, instant ? 1 : 0.06);
+      group.current.scale.lerp(goal.scale, instant ? 1 : 0.08);
+    }
+    if (playing.current) seq.advance(delta);
+
+    const base = color || palette.primary;
+    const steady = instant || !seq.cursor.blink || seq.busy;
+    const cursorOn = steady || clock.elapsedTime % BLINK < BLINK / 2;
+    const glyph = CURSORS[seq.cursor.style] ?? CURSORS.underscore;
+    const last = seq.lines.length - 1;
+    for (let i = 0; i < slots; i++) {
+      const mesh = texts.current[i];
+      if (!mesh) continue;
+      const line = seq.lines[i] || [];
+      const cursor = i === last && glyph ? (cursorOn ? glyph : " ") : "";
+      const key = `${seq.version}:${cursor}`;
+      if (shown.current[i] === key) continue;
+      shown.current[i] = key;
+      const ranges = { 0: base };
+      let prev = base;
+      line.forEach((c, k) => {
+        const col = !c.color ? base : typeof palette[c.color] === "string" ? palette[c.color] : c.color;
+        if (col !== prev) { ranges[k] = col; prev = col; }
+      });
+      if (prev !== base) ranges[line.length] = base;
+      mesh.text = line.map(c => c.ch).join("") + cursor;
+      mesh.colorRanges = ranges;
+    }
+  });
+
+  return (
+    <group ref={group} position={position} scale={[0.98, 0.98, 0.98]}>
+      {Array.from({ length: slots }, (_, idx) => (
+        <SceneText
+          key={idx} ref={el => { texts.current[idx] = el; shown.current[idx] = null; }}
+          fontSize={idx === 0 ? 0.36 : 0.32} position={[0, -idx * 0.42, 0]} anchorX="center" anchorY="middle" color={color || palette.primary}
+        />
+      ))}
+    </group>
+  );
+});
+
+export default Typewriter3D;
@@ -0,0 +1,61 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { logError } from "./errorLog.js";
+import { useI18n } from "./i18n.jsx";
+
+/**
+ * Registers the service worker (production builds only; see plugins/pwa.js)
+ * and reports a new deploy once its worker has installed and is waiting.
+ * Tabs left open look for one whenever they become visible again.
+ * @returns {{ waiting: ServiceWorker | null, apply: () => void, dismiss: () => void }}
+ */
+export function useServiceWorker() {
+  const [waiting, setWaiting] = useState(null);
+
+  useEffect(() => {
+    if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+    let registration, live = true;
+    // the first install has no controller to replace, so there is nothing to announce
+    const offer = worker => { if (live && worker && navigator.serviceWorker.controller) setWaiting(worker); };
+    const watch = reg => {
+      offer(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        worker?.addEventListener("statechange", () => { if (worker.state === "installed") offer(worker); });
+      });
+    };
+    const check = () => { if (document.visibilityState === "visible") registration?.update().catch(() => { /* offline */ }); };
+
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`, { scope: import.meta.env.BASE_URL })
+      .then(reg => { registration = reg; watch(reg); })
+      .catch(e => logError(e, { source: "pwa", action: "register" }));
+    document.addEventListener("visibilitychange", check);
+    return () => { live = false; document.removeEventListener("visibilitychange", check); };
+  }, []);
+
+  const apply = useCallback(() => {
+    if (!waiting) return;
+    navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+    waiting.postMessage({ type: "SKIP_WAITING" });
+  }, [waiting]);
+  const dismiss = useCallback(() => setWaiting(null), []);
+
+  return { waiting, apply, dismiss };
+}
+
+/**
+ * "Update available" toast. Reloading switches the page to the new worker;
+ * "later" keeps the current version until every tab of it is closed.
+ */
+export default function UpdatePrompt() {
+  const { t } = useI18n();
+  const { waiting, apply, dismiss } = useServiceWorker();
+  if (!waiting) return null;
+
+  return (
+    <div role="status" className="fixed bottom-4 right-4 z-[70] flex items-center gap-3 rounded-xl border border-accent/30 bg-panel/90 px-4 py-3 font-mono text-xs text-fg shadow-[0_0_40px_rgb(var(--glow)/0.2)] backdrop-blur">
+      <span>{t("pwa.update")}</span>
+      <button onClick={apply} className="px-3 py-1 rounded-xl bg-accent text-on-accent font-semibold hover:opacity-90">{t("pwa.reload")}</button>
+      <button onClick={dismiss} className="px-2 py-1 rounded-md border border-accent/30 hover:bg-accent/10">{t("pwa.later")}</button>
+    </div>
+  );
+}
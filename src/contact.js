@@ -0,0 +1,147 @@
+/**
+ * Contact form plumbing: validation, bot checks, a per-visitor rate limit and
+ * the delivery adapters. The form (ContactForm.jsx) only talks to this module.
+ *
+ * Adapters are `{ send(message, options) → Promise<{ note?: string }> }` and
+ * throw DeliveryError on failure. Which one is used comes from
+ * `sections[].form.delivery` in the portfolio config. The mock only runs in
+ * `npm run dev`; elsewhere a mock config falls back to mailto to the owner's
+ * address, which is also offered when a real adapter fails.
+ */
+export const LIMITS = { name: 100, email: 254, message: 4000, minMessage: 10 };
+// Humans need a few seconds to fill three fields; scripts post instantly.
+export const MIN_FILL_MS = 3000;
+const RATE_KEY = "portfolio:contact-sent";
+const DEFAULT_RATE = { max: 3, windowMinutes: 30 };
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+export class DeliveryError extends Error {
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.name = "DeliveryError";
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * @param {{ name: string, email: string, message: string }} fields
+ * @returns {Record<string, string>} field → i18n key of the problem; empty when valid
+ */
+export function validateMessage({ name, email, message }) {
+  const errors = {};
+  if (!name.trim()) errors.name = "contact.errors.nameRequired";
+  else if (name.length > LIMITS.name) errors.name = "contact.errors.tooLong";
+  if (!email.trim()) errors.email = "contact.errors.emailRequired";
+  else if (!EMAIL.test(email.trim()) || email.length > LIMITS.email) errors.email = "contact.errors.emailInvalid";
+  if (message.trim().length < LIMITS.minMessage) errors.message = "contact.errors.messageShort";
+  else if (message.length > LIMITS.message) errors.message = "contact.errors.tooLong";
+  return errors;
+}
+
+/**
+ * Bot heuristics. A filled honeypot or an instant submit is treated as spam;
+ * the form then fakes success so the bot learns nothing.
+ */
+export function looksAutomated({ honeypot, openedAt, now = Date.now() }) {
+  return Boolean(honeypot) || now - openedAt < MIN_FILL_MS;
+}
+
+// ---------------- Rate limit ----------------
+function readSent() {
+  try { return JSON.parse(localStorage.getItem(RATE_KEY)) || []; } catch { return []; }
+}
+
+/**
+ * @returns {{ allowed: boolean, retryAt: Date | null }}
+ */
+export function checkRateLimit({ max, windowMinutes } = DEFAULT_RATE, now = Date.now()) {
+  const windowMs = windowMinutes * 60_000;
+  const recent = readSent().filter(t => now - t < windowMs);
+  if (recent.length < max) return { allowed: true, retryAt: null };
+  return { allowed: false, retryAt: new Date(Math.min(...recent) + windowMs) };
+}
+
+export function recordSent(now = Date.now()) {
+  const windowMs = 24 * 3600_000; // plenty for any configured window
+  try { localStorage.setItem(RATE_KEY, JSON.stringify([...readSent().filter(t => now - t < windowMs), now])); } catch { /* private mode */ }
+}
+
+// ---------------- Adapters ----------------
+async function postJson(endpoint, body) {
+  let res;
+  try {
+    res = await fetch(endpoint, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+  } catch {
+    throw new DeliveryError("contact.errors.network");
+  }
+  if (res.status === 429) throw new DeliveryError("contact.errors.serverBusy");
+  if (!res.ok) throw new DeliveryError("contact.errors.rejected", { retryable: res.status >= 500 });
+}
+
+function plainText({ name, email, message }) {
+  return `From: ${name} <${email}>\nPage: ${location.href}\n\n${message}`;
+}
+
+const DEFAULT_SUBJECT = "Hello from your portfolio";
+
+/** A mailto: link to `to` with the visitor's message filled in. */
+export function mailtoHref(msg, { to, subject = DEFAULT_SUBJECT }) {
+  return `mailto:${encodeURIComponent(to)}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(plainText(msg))}`;
+}
+
+export const DELIVERY_ADAPTERS = {
+  // Opens the visitor's mail app; the message is "sent" once it's composed there.
+  mailto: {
+    async send(msg, options) {
+      window.location.href = mailtoHref(msg, options);
+      return { note: "contact.notes.mailto" };
+    },
+  },
+  // Generic JSON endpoint (Formspree, a serverless function, …).
+  http: {
+    async send(msg, { endpoint }) {
+      await postJson(endpoint, { name: msg.name, email: msg.email, message: msg.message, page: location.href });
+      return {};
+    },
+  },
+  // A relay that holds the bot token and forwards `text` to the owner's chat;
+  // the token must never ship to the browser.
+  telegram: {
+    async send(msg, { endpoint, chatId }) {
+      await postJson(endpoint, { chat_id: chatId, text: plainText(msg) });
+      return {};
+    },
+  },
+  // Development stand-in: logs the message and succeeds after a short delay.
+  // Put "fail" in the message to see the failure state.
+  mock: {
+    async send(msg) {
+      await new Promise(r => setTimeout(r, 800));
+      if (/\bfail\b/i.test(msg.message)) throw new DeliveryError("contact.errors.network");
+      console.info("[contact:mock] would deliver", msg);
+      return { note: "contact.notes.mock" };
+    },
+  },
+};
+
+/**
+ * The owner's address for mailto: the form's `email`, a mailto adapter's `to`,
+ * or the public email on the GitHub profile.
+ */
+export function ownerEmail(form, profileEmail) {
+  return form.email || (form.delivery.adapter === "mailto" ? form.delivery.to : null) || profileEmail || null;
+}
+
+/**
+ * @param {{ adapter: string } & Record<string, string>} delivery the config block
+ * @param {string | null} email the owner's address (see ownerEmail), for when the
+ *   config names the mock outside `npm run dev`
+ * @returns {{ name: string, send: Function } | null} null when there's nowhere to deliver to
+ */
+export function resolveDelivery(delivery, email) {
+  const options = delivery.adapter === "mock" && !import.meta.env.DEV ? email && { adapter: "mailto", to: email } : delivery;
+  if (!options) return null;
+  const adapter = DELIVERY_ADAPTERS[options.adapter];
+  if (!adapter) throw new Error(`unknown contact adapter "${options.adapter}"`);
+  return { name: options.adapter, send: msg => adapter.send(msg, options) };
+}
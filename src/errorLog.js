@@ -0,0 +1,31 @@
+/**
+ * Where runtime errors go. Defaults to the console; call setErrorLogger() (e.g.
+ * in main.jsx) to forward them to Sentry, a beacon endpoint or anything else.
+ * A logger is `(error, context) => void`; `context` says where it happened.
+ */
+const consoleLogger = (error, context) => console.error(`[${context.source}]`, error, context);
+
+let logger = consoleLogger;
+
+/**
+ * @param {((error: unknown, context: object) => void) | null} next  null restores the console logger
+ */
+export function setErrorLogger(next) {
+  logger = next || consoleLogger;
+}
+
+export function logError(error, context = {}) {
+  const full = { source: "app", ...context, at: new Date().toISOString(), url: typeof location !== "undefined" ? location.href : undefined };
+  try { logger(error, full); } catch (e) { consoleLogger(e, { source: "error-logger" }); }
+}
+
+/**
+ * Ready-made logger that POSTs a small JSON report with navigator.sendBeacon,
+ * so reporting survives the page being closed.
+ */
+export function beaconLogger(endpoint) {
+  return (error, context) => {
+    const body = JSON.stringify({ message: error?.message ?? String(error), stack: error?.stack, ...context });
+    if (!navigator.sendBeacon?.(endpoint, body)) fetch(endpoint, { method: "POST", body, keepalive: true }).catch(() => {});
+  };
+}
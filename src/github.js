@@ -0,0 +1,318 @@
+import { useEffect, useMemo, useState } from "react";
+import snapshot from "virtual:github-snapshot";
+
+/**
+ * GitHub REST access with a localStorage cache.
+ * Every response is stored with its ETag. For FRESH_FOR after it was saved an
+ * entry is served without touching the network; after that it is revalidated
+ * through If-None-Match. GitHub only exempts a 304 from the quota when the request
+ * is authorized (window.GITHUB_TOKEN), so without a token the freshness window is
+ * what keeps reloads within the 60/hour limit. Cached data can render while the
+ * network round-trip is still in flight. The build-time snapshot (see
+ * plugins/github-snapshot.js) is the fallback when nothing is cached.
+ * The same cache serves the other code hosts in src/providers through cachedFetch.
+ */
+export const GITHUB_API = "https://api.github.com";
+const CACHE_PREFIX = "gh-cache:";
+const FRESH_FOR = 5 * 60_000;
+// set by the service worker (plugins/service-worker.js) on its offline replays
+const SW_CACHED_AT = "X-SW-Cached-At";
+
+export class RateLimitError extends Error {
+  constructor(reset) {
+    super(`GitHub API rate limit exceeded${reset ? ` — resets at ${reset.toLocaleTimeString()}` : ""}`);
+    this.name = "RateLimitError";
+    this.reset = reset;
+  }
+}
+
+export class NotFoundError extends Error {
+  constructor(url, service = "GitHub") {
+    super(`Not found on ${service}: ${url}`);
+    this.name = "NotFoundError";
+  }
+}
+
+// ---------------- Cache ----------------
+function readCache(url) {
+  try { return JSON.parse(localStorage.getItem(CACHE_PREFIX + url)); } catch { return null; }
+}
+
+function writeCache(url, entry) {
+  try { localStorage.setItem(CACHE_PREFIX + url, JSON.stringify(entry)); } catch { /* storage full or disabled */ }
+}
+
+// Walks cached pages through their stored `next` links without touching the network.
+function peekCache(url, paged = false) {
+  const first = readCache(url);
+  if (!first) return null;
+  if (!paged) return first;
+  const data = [...first.data];
+  let savedAt = first.savedAt;
+  for (let next = first.next; next; ) {
+    const page = readCache(next);
+    if (!page) return null;
+    data.push(...page.data); savedAt = Math.min(savedAt, page.savedAt); next = page.next;
+  }
+  return { data, savedAt };
+}
+
+// ---------------- Fetch ----------------
+function rateLimitOf(res) {
+  const remaining = res.headers.get("X-RateLimit-Remaining");
+  const reset = res.headers.get("X-RateLimit-Reset");
+  return {
+    remaining: remaining == null ? null : Number(remaining),
+    reset: reset ? new Date(Number(reset) * 1000) : null,
+  };
+}
+
+function nextLink(header) {
+  const m = header?.match(/<([^>]+)>;\s*rel="next"/);
+  return m ? m[1] : null;
+}
+
+/**
+ * Cached, ETag-revalidated GET of a JSON API. `service` names the API in errors;
+ * `headers` must not carry credentials meant for another host. `rate` is null
+ * when the entry was fresh enough to skip the request. `stale` is set when the
+ * answer is the service worker's offline copy, which keeps the age it was saved at.
+ */
+export async function cachedFetch(url, { signal, headers = {}, service = "GitHub" } = {}) {
+  const cached = readCache(url);
+  if (cached && Date.now() - cached.savedAt < FRESH_FOR) return { ...cached, rate: null };
+  const sent = { ...headers };
+  if (cached?.etag) sent["If-None-Match"] = cached.etag;
+  const res = await fetch(url, { headers: sent, signal });
+  const rate = rateLimitOf(res);
+  if (res.status === 304 && cached) {
+    // just confirmed current, so it's as fresh as a new download
+    const entry = { ...cached, savedAt: Date.now() };
+    writeCache(url, entry);
+    return { ...entry, rate };
+  }
+  if ((res.status === 403 || res.status === 429) && rate.remaining === 0) throw new RateLimitError(rate.reset);
+  if (res.status === 404) throw new NotFoundError(url, service);
+  if (!res.ok) throw new Error(`${service} API responded ${res.status}`);
+  // the service worker's offline copy is only as new as when it stored it
+  const replayedAt = Number(res.headers.get(SW_CACHED_AT)) || 0;
+  if (replayedAt && cached?.savedAt >= replayedAt) return { ...cached, rate: null, stale: true };
+  const entry = { etag: res.headers.get("ETag"), data: await res.json(), next: nextLink(res.headers.get("Link")), savedAt: replayedAt || Date.now() };
+  writeCache(url, entry);
+  return replayedAt ? { ...entry, rate: null, stale: true } : { ...entry, rate };
+}
+
+// Follows `Link: rel="next"` (GitHub, GitLab and Gitea all send it) so long lists are complete.
+export async function cachedFetchAll(url, opts) {
+  const data = [];
+  let savedAt = Date.now(), rate = null, stale = false;
+  for (let next = url; next; ) {
+    const page = await cachedFetch(next, opts);
+    data.push(...page.data); savedAt = Math.min(savedAt, page.savedAt); rate = page.rate ?? rate; stale = stale || !!page.stale; next = page.next;
+  }
+  return { data, savedAt, rate, stale };
+}
+
+function githubHeaders() {
+  const headers = { Accept: "application/vnd.github+json" };
+  if (window.GITHUB_TOKEN) headers["Authorization"] = `Bearer ${window.GITHUB_TOKEN}`;
+  return headers;
+}
+
+export function ghFetch(url, { signal } = {}) {
+  return cachedFetch(url, { signal, headers: githubHeaders() });
+}
+
+export function ghFetchAll(url, { signal } = {}) {
+  return cachedFetchAll(url, { signal, headers: githubHeaders() });
+}
+
+// ---------------- GitHub Data Hook ----------------
+// Live repo listings carry no language bytes; borrow them from the snapshot.
+const snapshotLanguages = new Map((snapshot?.repos || []).map(r => [r.id, r.languages]));
+
+/**
+ * GitHub repo listing → the repo shape every provider produces (see src/providers):
+ * GitHub's own field names plus `provider` and `host`.
+ */
+export function normalizeRepos(raw) {
+  const list = (Array.isArray(raw) ? raw : []).filter(x => !x.fork).map(x => ({
+    id: x.id, provider: "github", host: "github.com", name: x.name, full_name: x.full_name, html_url: x.html_url, description: x.description,
+    default_branch: x.default_branch, license: x.license, archived: !!x.archived, created_at: x.created_at,
+    stargazers_count: x.stargazers_count, language: x.language, updated_at: x.updated_at, topics: x.topics || [],
+    languages: x.languages ?? snapshotLanguages.get(x.id), languages_url: x.languages_url
+  }));
+  list.sort((a,b) => (b.stargazers_count - a.stargazers_count) || (new Date(b.updated_at) - new Date(a.updated_at)));
+  return list;
+}
+
+function endpoints(username) {
+  return {
+    user: `${GITHUB_API}/users/${username}`,
+    repos: `${GITHUB_API}/users/${username}/repos?per_page=100&sort=updated`,
+  };
+}
+
+// Whichever is newer of the localStorage cache and the bundled snapshot.
+function cachedState(username) {
+  const url = endpoints(username);
+  const u = peekCache(url.user);
+  const r = peekCache(url.repos, true);
+  const savedAt = u && r ? Math.min(u.savedAt, r.savedAt) : null;
+  const snap = snapshot?.user === username.toLowerCase() ? snapshot : null;
+  const snapAt = snap?.generatedAt ? Date.parse(snap.generatedAt) : 0;
+  if (snap && (!savedAt || snapAt > savedAt)) {
+    return { user: snap.profile, repos: normalizeRepos(snap.repos), savedAt: snapAt || null, source: "snapshot" };
+  }
+  if (savedAt) return { user: u.data, repos: normalizeRepos(r.data), savedAt, source: "cache" };
+  return { user: null, repos: [], savedAt: null, source: null };
+}
+
+/**
+ * Returns cached data immediately (stale-while-revalidate) and upgrades it once
+ * the conditional requests settle. When the network or the rate limit gets in the
+ * way, cached data stays on screen and `notice` explains how old it is.
+ */
+export function useGitHubData(username) {
+  const [state, setState] = useState(() => {
+    const cached = cachedState(username);
+    return { ...cached, loading: !cached.source, revalidating: true, error: null, notice: null, rateLimit: null };
+  });
+
+  useEffect(() => {
+    const abort = new AbortController();
+    const cached = cachedState(username);
+    setState(s => ({ ...s, ...cached, loading: !cached.source, revalidating: true, error: null, notice: null }));
+    const url = endpoints(username);
+    async function run() {
+      try {
+        const u = await ghFetch(url.user, { signal: abort.signal });
+        const r = await ghFetchAll(url.repos, { signal: abort.signal });
+        const savedAt = Math.min(u.savedAt, r.savedAt);
+        // an offline replay from the service worker is cached data, not a live answer
+        const stale = u.stale || r.stale;
+        setState(s => ({
+          ...s, user: u.data, repos: normalizeRepos(r.data), savedAt, source: stale ? "cache" : "live", rateLimit: r.rate ?? s.rateLimit,
+          notice: stale ? { savedAt: new Date(savedAt), source: "cache", reset: null } : null,
+        }));
+      } catch (e) {
+        if (abort.signal.aborted) return;
+        const reset = e instanceof RateLimitError ? e.reset : null;
+        setState(s => s.source
+          ? { ...s, notice: { savedAt: s.savedAt ? new Date(s.savedAt) : null, source: s.source, reset }, rateLimit: reset ? { remaining: 0, reset } : s.rateLimit }
+          : { ...s, error: e instanceof NotFoundError ? "GitHub user not found" : e.message });
+      } finally {
+        if (!abort.signal.aborted) setState(s => ({ ...s, loading: false, revalidating: false }));
+      }
+    }
+    run();
+    return () => abort.abort();
+  }, [username]);
+
+  return state;
+}
+
+/**
+ * Fills in `languages` byte counts for repos the snapshot didn't cover, one cached
+ * request per repo. Stops at the first failure (offline or rate limited) and keeps
+ * whatever it already has.
+ */
+export function useLanguageBytes(repos) {
+  const [fetched, setFetched] = useState({});
+
+  useEffect(() => {
+    const missing = repos.filter(r => !r.languages && r.languages_url && !fetched[r.id]);
+    if (!missing.length) return;
+    const abort = new AbortController();
+    async function run() {
+      const found = {};
+      for (const r of missing) {
+        // never send the GitHub token to another host
+        const get = r.provider === "github" ? ghFetch : cachedFetch;
+        try { found[r.id] = (await get(r.languages_url, { signal: abort.signal, service: r.host })).data; } catch { break; }
+      }
+      if (!abort.signal.aborted && Object.keys(found).length) setFetched(f => ({ ...f, ...found }));
+    }
+    run();
+    return () => abort.abort();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [repos]);
+
+  return useMemo(() => repos.map(r => r.languages || !fetched[r.id] ? r : { ...r, languages: fetched[r.id] }), [repos, fetched]);
+}
+
+/**
+ * README, recent commits and releases for the GitHub repo in the detail panel.
+ * Each part is fetched independently so a missing README doesn't hide the commit list.
+ */
+export function useRepoDetail(repo) {
+  const [state, setState] = useState({ readme: null, commits: [], releases: [], loading: false, error: null });
+  // only GitHub repos have these endpoints; other hosts get the summary and a link
+  const fullName = repo?.provider === "github" ? repo.full_name || repo.html_url?.replace("https://github.com/", "") : null;
+
+  useEffect(() => {
+    if (!fullName) return;
+    const abort = new AbortController();
+    const opts = { signal: abort.signal };
+    const base = `${GITHUB_API}/repos/${fullName}`;
+    setState({ readme: null, commits: [], releases: [], loading: true, error: null });
+    Promise.allSettled([
+      ghFetch(`${base}/readme`, opts),
+      ghFetch(`${base}/commits?per_page=5`, opts),
+      ghFetch(`${base}/releases?per_page=3`, opts),
+    ]).then(([readme, commits, releases]) => {
+      if (abort.signal.aborted) return;
+      const failed = [readme, commits, releases].find(x => x.status === "rejected" && !(x.reason instanceof NotFoundError));
+      setState({
+        readme: readme.status === "fulfilled" ? readme.value.data : null,
+        commits: commits.status === "fulfilled" ? commits.value.data : [],
+        releases: releases.status === "fulfilled" ? releases.value.data : [],
+        loading: false,
+        error: failed ? failed.reason.message : null,
+      });
+    });
+    return () => abort.abort();
+  }, [fullName]);
+
+  return { ...state, fullName };
+}
+
+// ---------------- Activity ----------------
+export function dayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// Buckets public events per local day into pushes, PRs and issues.
+export function summarizeEvents(events) {
+  const days = {};
+  for (const e of events || []) {
+    const kind = { PushEvent: "pushes", PullRequestEvent: "prs", IssuesEvent: "issues" }[e.type] || "other";
+    const day = (days[dayKey(e.created_at)] ||= { pushes: 0, prs: 0, issues: 0, other: 0, total: 0 });
+    day[kind]++; day.total++;
+  }
+  return days;
+}
+
+/**
+ * Per-day activity from the public events feed (GitHub keeps ~90 days / 300 events).
+ * Renders cached data first like useGitHubData; `available` stays false when the
+ * feed can't be had, so callers can leave the visualisation out.
+ */
+export function useActivity(username) {
+  const url = `${GITHUB_API}/users/${username}/events/public?per_page=100`;
+  const [state, setState] = useState(() => {
+    const cached = peekCache(url, true);
+    return { days: cached ? summarizeEvents(cached.data) : {}, available: !!cached, loading: !cached };
+  });
+
+  useEffect(() => {
+    const abort = new AbortController();
+    ghFetchAll(url, { signal: abort.signal })
+      .then(r => setState({ days: summarizeEvents(r.data), available: true, loading: false }))
+      .catch(() => { if (!abort.signal.aborted) setState(s => ({ ...s, loading: false })); });
+    return () => abort.abort();
+  }, [url]);
+
+  return state;
+}
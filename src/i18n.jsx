@@ -0,0 +1,118 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import en from "./locales/en.js";
+import bn from "./locales/bn.js";
+
+/**
+ * Message catalogs, locale-aware formatting and the scene font. I18nProvider
+ * (mounted in main.jsx) owns the locale; like the theme, it reaches three.js
+ * components through a context that App re-provides inside the Canvas.
+ *
+ * `font` loads a Bengali-capable face for drei <Text> the first time Bengali is
+ * picked; other scripts keep troika's default font. Owner-written content is
+ * translated in portfolio.config.yaml under `translations.<locale>`.
+ */
+export const LOCALES = {
+  en: { label: "English", tag: "en-US", messages: en },
+  bn: {
+    label: "বাংলা",
+    tag: "bn-BD",
+    messages: bn,
+    font: () => import("@fontsource/noto-sans-bengali/files/noto-sans-bengali-bengali-400-normal.woff?url"),
+    // Bengali block, danda marks, ZWNJ/ZWJ and the dotted circle used for stray vowel signs
+    unicodeRange: "U+0964-0965, U+0980-09FE, U+200C-200D, U+25CC",
+  },
+};
+export const DEFAULT_LOCALE = "en";
+const STORAGE_KEY = "portfolio:locale";
+
+// Numbers are formatted with grouping ("2,026"), so pass years and other
+// identifiers as strings (formatDate(date, { year: "numeric" }) for a year).
+function interpolate(text, vars, formatNumber) {
+  return text.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? (typeof vars[k] === "number" ? formatNumber(vars[k]) : String(vars[k])) : m));
+}
+
+/**
+ * @param {string} locale
+ * @param {object[] | undefined} [font] troika font list for scene text
+ */
+export function createI18n(locale, font) {
+  const { tag, messages } = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  const numbers = new Intl.NumberFormat(tag);
+  const plurals = new Intl.PluralRules(tag);
+  const formatNumber = n => numbers.format(n);
+
+  const t = (key, vars = {}) => {
+    let msg = messages[key] ?? en[key];
+    if (msg == null) return key;
+    if (typeof msg === "object") msg = msg[plurals.select(vars.count ?? 0)] ?? msg.other;
+    return interpolate(msg, vars, formatNumber);
+  };
+
+  return {
+    locale, tag, font, t, formatNumber,
+    formatPercent: share => new Intl.NumberFormat(tag, { style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(share),
+    formatDate: (date, opts) => new Date(date).toLocaleDateString(tag, opts),
+    formatDateTime: date => new Date(date).toLocaleString(tag),
+    formatTime: date => new Date(date).toLocaleTimeString(tag),
+  };
+}
+
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+function readLocale() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch { /* private mode */ }
+  const browser = typeof navigator !== "undefined" ? navigator.language?.slice(0, 2) : null;
+  return LOCALES[browser] ? browser : DEFAULT_LOCALE;
+}
+
+/**
+ * Context value: everything createI18n returns plus `setLocale(locale)`.
+ */
+export function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(readLocale);
+  const [fonts, setFonts] = useState({});
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    const { font, unicodeRange } = LOCALES[locale];
+    if (!font || fonts[locale]) return;
+    let cancelled = false;
+    font()
+      .then(m => { if (!cancelled) setFonts(f => ({ ...f, [locale]: [{ src: m.default, label: locale, unicodeRange }] })); })
+      .catch(() => { /* troika falls back to its own font resolver */ });
+    return () => { cancelled = true; };
+  }, [locale, fonts]);
+
+  const setLocale = useCallback(next => {
+    if (!LOCALES[next]) return;
+    setLocaleState(next);
+    try { localStorage.setItem(STORAGE_KEY, next); } catch { /* private mode */ }
+  }, []);
+
+  const value = useMemo(() => ({ ...createI18n(locale, fonts[locale]), setLocale }), [locale, fonts, setLocale]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+/**
+ * Applies `translations.<locale>` from the portfolio config: top-level fields
+ * replace the originals, `sections.<id>` patches the section with that id and
+ * `featured.<repo>` the featured entry for that repo.
+ */
+export function localizeConfig(config, locale) {
+  const patch = config.translations?.[locale];
+  if (!patch) return config;
+  const { sections = {}, featured = {}, ...rest } = patch;
+  return {
+    ...config,
+    ...rest,
+    sections: config.sections.map(s => (sections[s.id] ? { ...s, ...sections[s.id] } : s)),
+    featured: config.featured?.map(f => (featured[f.repo] ? { ...f, ...featured[f.repo] } : f)),
+  };
+}
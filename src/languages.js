@@ -0,0 +1,110 @@
+/**
+ * Language statistics → planets.
+ * Byte counts from each repo's `languages_url` are summed, small languages are
+ * folded into an "Other" planet and the rest are laid out around the centre
+ * piece so nothing overlaps the knot or the 3D header.
+ */
+
+// Subset of github-linguist's languages.yml colours.
+export const LANGUAGE_COLORS = {
+  "C": "#555555", "C#": "#178600", "C++": "#f34b7d", "CMake": "#DA3434", "CSS": "#563d7c",
+  "Dart": "#00B4AB", "Dockerfile": "#384d54", "Elixir": "#6e4a7e", "Go": "#00ADD8", "Groovy": "#4298b8",
+  "HTML": "#e34c26", "Haskell": "#5e5086", "Java": "#b07219", "JavaScript": "#f1e05a",
+  "Jupyter Notebook": "#DA5B0B", "Kotlin": "#A97BFF", "Lua": "#000080", "Makefile": "#427819",
+  "Objective-C": "#438eff", "PHP": "#4F5D95", "Perl": "#0298c3", "PowerShell": "#012456",
+  "Python": "#3572A5", "R": "#198CE7", "Ruby": "#701516", "Rust": "#dea584", "SCSS": "#c6538c",
+  "Scala": "#c22d40", "Shell": "#89e051", "Svelte": "#ff3e00", "Swift": "#F05138",
+  "TypeScript": "#3178c6", "Vue": "#41b883",
+};
+export const OTHER_LABEL = "Other";
+export const OTHER_COLOR = "#94a3b8";
+
+export function languageColor(name) {
+  if (LANGUAGE_COLORS[name]) return LANGUAGE_COLORS[name];
+  let h = 0;
+  for (const ch of name) h = (h * 31 + ch.charCodeAt(0)) % 360;
+  return `hsl(${h}, 70%, 60%)`;
+}
+
+export function aggregateLanguages(repos) {
+  const totals = {};
+  for (const r of repos) {
+    for (const [lang, bytes] of Object.entries(r.languages || {})) totals[lang] = (totals[lang] || 0) + bytes;
+  }
+  return totals;
+}
+
+// ---------------- Layout ----------------
+// Rough bounding spheres of the static centre piece (SpinningKnot, Header3D, Typewriter3D).
+const SCENE_OBSTACLES = [
+  { center: [0, 0.2, 0], radius: 1.8 },
+  { center: [-2.6, 1.2, 0], radius: 1.3 },
+  { center: [0, 1.2, 0], radius: 1.3 },
+  { center: [2.6, 1.2, 0], radius: 1.3 },
+  { center: [0, 2.4, 0], radius: 1.2 },
+];
+const GAP = 0.6; // room for the label under each planet
+const FLOOR_Y = -2.4;
+
+function pushApart(p, center, minDist, weight) {
+  const d = [p[0] - center[0], p[1] - center[1], p[2] - center[2]];
+  const len = Math.hypot(...d) || 1e-3;
+  if (len >= minDist) return;
+  const k = ((minDist - len) / len) * weight;
+  p[0] += d[0] * k; p[1] += d[1] * k; p[2] += d[2] * k;
+}
+
+/**
+ * Seeds planets on a lower arc around the centre piece, then relaxes them so
+ * they keep clear of each other and of SCENE_OBSTACLES.
+ */
+export function layoutPlanets(planets, { obstacles = SCENE_OBSTACLES, iterations = 120 } = {}) {
+  const n = planets.length;
+  const pos = planets.map((_, i) => {
+    const a = Math.PI * (1 + (n === 1 ? 0.5 : i / (n - 1)));
+    return [Math.cos(a) * 6, 0.4 + Math.sin(a) * 2.4, i % 2 ? 1.2 : -1.2];
+  });
+  for (let it = 0; it < iterations; it++) {
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const min = planets[i].radius + planets[j].radius + GAP;
+        const mid = pos[j].map((v, k) => (v + pos[i][k]) / 2);
+        pushApart(pos[i], mid, min / 2, 0.5);
+        pushApart(pos[j], mid, min / 2, 0.5);
+      }
+      for (const o of obstacles) pushApart(pos[i], o.center, o.radius + planets[i].radius + GAP, 1);
+      pos[i][1] = Math.max(pos[i][1], FLOOR_Y);
+    }
+  }
+  return planets.map((p, i) => ({ ...p, pos: pos[i].map(v => +v.toFixed(2)) }));
+}
+
+// ---------------- Planets ----------------
+/**
+ * @param {Record<string, number>} totals language → bytes
+ * @param {{ threshold?: number, max?: number, colors?: Record<string, string> }} options
+ *   languages under `threshold` share collapse into "Other", and so do the smallest
+ *   ones when needed to keep the planet count, "Other" included, within `max`
+ */
+export function buildPlanets(totals, { threshold = 0.04, max = 6, colors = {} } = {}) {
+  const sum = Object.values(totals).reduce((a, b) => a + b, 0);
+  if (!sum) return [];
+  const ranked = Object.entries(totals)
+    .filter(([, bytes]) => bytes > 0)
+    .map(([label, bytes]) => ({ label, share: bytes / sum }))
+    .sort((a, b) => b.share - a.share);
+  const main = ranked.filter(l => l.share >= threshold);
+  const rest = ranked.filter(l => l.share < threshold);
+  // A single leftover language keeps its own name rather than becoming "Other".
+  if (rest.length === 1) main.push(rest.pop());
+  // "Other" takes one of the `max` slots whenever anything is left over.
+  rest.unshift(...main.splice(rest.length || main.length > max ? max - 1 : max));
+  const planets = main.map(l => ({ ...l, languages: [l.label], color: colors[l.label] || languageColor(l.label) }));
+  if (rest.length) {
+    planets.push({
+      label: OTHER_LABEL, share: rest.reduce((a, l) => a + l.share, 0),
+      languages: rest.map(l => l.label), color: colors[OTHER_LABEL] || OTHER_COLOR,
+    });
+  }
+  return layoutPlanets(planets.map(p => ({ ...p, radius: 0.6 + 0.9 * Math.sqrt(p.share) })));
+}
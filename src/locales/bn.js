@@ -0,0 +1,164 @@
+/**
+ * Bengali (Bangladesh) message catalog. Keys missing here fall back to en.js.
+ * Bengali doesn't inflect nouns after numerals, so plural entries are plain strings.
+ */
+export default {
+  "auto": "স্বয়ংক্রিয়",
+  "header.gfx": "গ্রাফিক্স",
+  "header.motion": "অ্যানিমেশন",
+  "header.theme": "থিম",
+  "header.language": "ভাষা",
+  "header.quality": "৩ডি মান",
+  "header.website": "ওয়েবসাইট",
+  "motion.reduced": "কম",
+  "motion.full": "পূর্ণ",
+
+  "theme.neon-teal": "নিয়ন টিল",
+  "theme.matrix": "ম্যাট্রিক্স সবুজ",
+  "theme.amber": "অ্যাম্বার CRT",
+  "theme.light": "হালকা / প্রিন্ট",
+
+  "scene.failed": "৩ডি দৃশ্যটি বন্ধ হয়ে গেছে — পেজের বাকি অংশ ঠিকমতো কাজ করছে।",
+  "scene.lost": "গ্রাফিক্স কনটেক্সট হারিয়ে গেছে এবং আর ফেরেনি।",
+  "scene.restoring": "গ্রাফিক্স কনটেক্সট হারিয়ে গেছে — ব্রাউজার ফিরিয়ে আনার অপেক্ষায়…",
+  "scene.details": "বিস্তারিত",
+  "scene.retry": "↻ আবার ৩ডি চালান",
+
+  "stats.repos": "রিপো",
+  "stats.followers": "অনুসারী",
+  "stats.following": "অনুসরণ",
+  "stats.filter": "ফিল্টার",
+  "hero.noWebgl": "৩ডি দেখা যাচ্ছে না — স্থির ছবি দেখানো হচ্ছে",
+  "tour.start": "▶ ট্যুর শুরু করুন",
+  "tour.exit": "✕ ট্যুর শেষ করুন",
+  "tour.step": "{count}টির মধ্যে {step} নম্বর",
+  "tour.prev": "পেছনে",
+  "tour.next": "পরের",
+  "tour.finish": "শেষ",
+  "tour.header": "হ্যালো! এটি আমার GitHub-এর একটি 3D মানচিত্র। টেনে চারপাশ দেখুন, স্ক্রল করে জুম করুন — অথবা ট্যুরটি দেখুন।",
+  "tour.planet": "প্রতিটি গ্রহ একটি ভাষা, কোডে তার অংশ অনুযায়ী আকার: {label} হলো {share}। নিচের প্রজেক্ট ফিল্টার করতে একটিতে ক্লিক করুন।",
+  "tour.knotTitle": "গিঁট",
+  "tour.knot": "শুধু মজার জন্য। এর নিচে গ্রিডের মেঝেতে গত ১৩ সপ্তাহের GitHub কার্যকলাপ — দিনের হিসাব দেখতে কোনো টাওয়ারের উপর হোভার করুন।",
+
+  "snapshot.save": "⤓ স্ন্যাপশট",
+  "snapshot.share": "⤴ স্ন্যাপশট শেয়ার করুন",
+  "snapshot.busy": "তৈরি হচ্ছে…",
+  "snapshot.failed": "[স্ন্যাপশট ব্যর্থ: {reason}]",
+  "snapshot.dismiss": "বন্ধ করুন",
+
+  "filter.all": "সব",
+  "filter.caption": "$ স্ট্যাক ফিল্টার →",
+
+  "planets.toolbar": "ভাষার গ্রহ — ভাষা অনুযায়ী প্রজেক্ট ফিল্টার করুন",
+  "planets.label": "{label}: কোডের {share}, {repos}",
+  "planets.repos": "{count}টি রিপোজিটরি",
+  "planets.announce": "{filter}: {total}টির মধ্যে {shown}টি রিপোজিটরি দেখানো হচ্ছে",
+  "planets.allLanguages": "সব ভাষা",
+
+  "projects.title": "/var/www/portfolio ▶ প্রজেক্ট",
+  "projects.loading": "[রিপোজিটরি লোড হচ্ছে…]",
+  "projects.cached": "[{when} সময়ের ক্যাশ করা তথ্য দেখানো হচ্ছে]",
+  "projects.cachedRateLimited": "[{when} সময়ের ক্যাশ করা তথ্য দেখানো হচ্ছে — রেট লিমিট {reset}-এ রিসেট হবে]",
+  "projects.snapshot": "বিল্ডের সাথে থাকা স্ন্যাপশট",
+  "projects.sourcesFailed": "[{sources} লোড করা যায়নি — অন্য উৎসগুলো দেখানো হচ্ছে]",
+
+  "repos.search": "রিপোজিটরি খুঁজুন",
+  "repos.searchPlaceholder": "নাম, বিবরণ, টপিক…",
+  "repos.topic": "টপিক",
+  "repos.anyTopic": "#যেকোনো টপিক",
+  "repos.archivedFilter": "আর্কাইভ",
+  "repos.sortBy": "সাজানোর ক্রম",
+  "repos.sort": "ক্রম: {mode}",
+  "repos.count": "{total}টির মধ্যে {shown}টি রিপো",
+  "repos.showing": " · দেখানো হচ্ছে {count}টি",
+  "repos.reset": "ফিল্টার মুছুন",
+  "repos.empty": "এই ফিল্টারে কোনো রিপোজিটরি পাওয়া যায়নি।",
+  "repos.more": "আরও দেখুন ({count}টি বাকি)",
+  "repos.updated": "হালনাগাদ {date}",
+  "repos.featured": "বাছাইকৃত",
+  "repos.archived": "আর্কাইভ করা",
+  "sort.stars": "★ স্টার",
+  "sort.updated": "সাম্প্রতিক হালনাগাদ",
+  "sort.created": "তৈরির তারিখ",
+  "sort.name": "নাম",
+  "archived.all": "সব",
+  "archived.active": "আর্কাইভ লুকান",
+  "archived.archived": "শুধু আর্কাইভ",
+
+  "detail.close": "রিপোজিটরির বিবরণ বন্ধ করুন",
+  "detail.openOnGitHub": "GitHub-এ খুলুন ↗",
+  "detail.openOn": "{host}-এ খুলুন ↗",
+  "detail.license": "লাইসেন্স: {license}",
+  "detail.role": "ভূমিকা:",
+  "detail.screenshot": "{name}-এর স্ক্রিনশট {n}",
+  "detail.fetching": "[{name} আনা হচ্ছে…]",
+  "detail.noReadme": "[README নেই]",
+  "detail.releases": "$ রিলিজ",
+
+  "notes.title": "~/notes",
+  "notes.count": "{count}টি লেখা",
+  "notes.tags": "ট্যাগ দিয়ে নোট ফিল্টার করুন",
+  "notes.allTags": "#সব",
+  "notes.minutes": "{count} মিনিটে পড়া",
+  "notes.empty": "এই ট্যাগে কোনো নোট নেই।",
+  "notes.close": "নোট বন্ধ করুন",
+  "notes.draft": "খসড়া",
+  "notes.feed": "RSS ফিড",
+
+  "dashboard.title": "~ ▶ পরিসংখ্যান",
+  "dashboard.totals": "{repos}টি রিপো · ★ {stars} · {topics}টি টপিক",
+  "dashboard.bytes": "বাইট অনুযায়ী ভাষার ভাগ",
+  "dashboard.repoCount": "রিপো সংখ্যা অনুযায়ী ভাষার ভাগ",
+  "dashboard.stars": "রিপো প্রতি স্টার",
+  "dashboard.years": "বছর অনুযায়ী তৈরি রিপো",
+  "dashboard.topics": "সবচেয়ে বেশি ব্যবহৃত টপিক",
+  "dashboard.empty": "এখনও দেখানোর মতো কিছু নেই",
+  "dashboard.noStars": "এখনও কোনো স্টার নেই",
+  "dashboard.noTopics": "কোনো রিপোতে টপিক দেওয়া নেই",
+  "dashboard.cloudShow": "৩ডি টপিক ক্লাউড দেখান",
+  "dashboard.cloudHide": "৩ডি টপিক ক্লাউড লুকান",
+
+  "activity.pushes": "{count}টি পুশ",
+  "activity.prs": "{count}টি PR",
+  "activity.issues": "{count}টি ইস্যু",
+  "activity.other": " · অন্যান্য {count}টি",
+  "activity.none": "কোনো পাবলিক কার্যকলাপ নেই",
+
+  "contact.heading": "# অথবা এখানে বার্তা পাঠান",
+  "contact.name": "নাম",
+  "contact.email": "ইমেইল",
+  "contact.message": "বার্তা",
+  "contact.send": "পাঠান ↵",
+  "contact.sending": "পাঠানো হচ্ছে…",
+  "contact.retry": "↻ আবার চেষ্টা করুন",
+  "contact.status.sending": "[পাঠানো হচ্ছে…]",
+  "contact.status.sent": "[পাঠানো হয়েছে — ধন্যবাদ, শীঘ্রই উত্তর দেব]",
+  "contact.notes.mailto": "[আপনার মেইল অ্যাপে বার্তাটি প্রস্তুত অবস্থায় খোলার কথা]",
+  "contact.notes.mock": "[মক ডেলিভারি — বার্তাটি কনসোলে লেখা হয়েছে]",
+  "contact.mailtoFallback": "→ অথবা {email} ঠিকানায় ইমেইল করুন",
+  "contact.limited": "[আপনি ইতিমধ্যে কয়েকটি বার্তা পাঠিয়েছেন — {time}-এ ফর্মটি আবার খুলবে]",
+  "contact.errors.nameRequired": "নাম দিতে হবে",
+  "contact.errors.emailRequired": "ইমেইল দিতে হবে",
+  "contact.errors.emailInvalid": "এটি সঠিক ইমেইল ঠিকানা মনে হচ্ছে না",
+  "contact.errors.messageShort": "অন্তত {min} অক্ষর লিখুন",
+  "contact.errors.tooLong": "{max} অক্ষরের মধ্যে রাখুন",
+  "contact.errors.network": "[সার্ভারে পৌঁছানো যায়নি — সংযোগ দেখে আবার চেষ্টা করুন]",
+  "contact.errors.serverBusy": "[সার্ভার ব্যস্ত — এক মিনিট পরে চেষ্টা করুন]",
+  "contact.errors.rejected": "[বার্তাটি গ্রহণ করা হয়নি — পরে চেষ্টা করুন বা উপরের অন্য মাধ্যম ব্যবহার করুন]",
+  "contact.errors.unknown": "[কিছু একটা ভুল হয়েছে — উপরের অন্য মাধ্যম ব্যবহার করুন]",
+
+  "shell.note": "চেষ্টা করুন: filter kotlin | open <repo> | cat about",
+  "shell.input": "টার্মিনাল কমান্ড",
+
+  "pwa.update": "[এই পাতার নতুন সংস্করণ প্রস্তুত]",
+  "pwa.reload": "রিলোড",
+  "pwa.later": "পরে",
+  "offline.title": "আপনি অফলাইনে আছেন",
+  "offline.lastSeen": "[অফলাইন — আপনার শেষ ভিজিটে যা লোড হয়েছিল তা দেখানো হচ্ছে, {date}]",
+  "offline.nothing": "[অফলাইন — আগের কোনো ভিজিট থেকে এখনও কিছু সংরক্ষিত হয়নি]",
+  "offline.retry": "↻ আবার চেষ্টা করুন",
+  "offline.projects": "~ ▶ প্রজেক্ট",
+
+
+  "footer": "© {year} {name} — React ও Three.js দিয়ে তৈরি",
+};
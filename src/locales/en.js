@@ -0,0 +1,165 @@
+/**
+ * English message catalog — the reference every other locale falls back to.
+ * `{name}` placeholders are filled by t(); an object value is a plural form
+ * picked with Intl.PluralRules (`one`, `other`, …) from the `count` variable.
+ */
+export default {
+  "auto": "auto",
+  "header.gfx": "gfx",
+  "header.motion": "motion",
+  "header.theme": "theme",
+  "header.language": "Language",
+  "header.quality": "3D quality",
+  "header.website": "Website",
+  "motion.reduced": "reduced",
+  "motion.full": "full",
+
+  "theme.neon-teal": "neon teal",
+  "theme.matrix": "matrix green",
+  "theme.amber": "amber CRT",
+  "theme.light": "light / print",
+
+  "scene.failed": "The 3D scene crashed — the rest of the page still works.",
+  "scene.lost": "The graphics context was lost and didn't come back.",
+  "scene.restoring": "Graphics context lost — waiting for the browser to restore it…",
+  "scene.details": "details",
+  "scene.retry": "↻ retry 3D",
+
+  "stats.repos": "repos",
+  "stats.followers": "followers",
+  "stats.following": "following",
+  "stats.filter": "filter",
+  "hero.noWebgl": "3D view unavailable — showing a still",
+  "tour.start": "▶ take the tour",
+  "tour.exit": "✕ end tour",
+  "tour.step": "stop {step} of {count}",
+  "tour.prev": "back",
+  "tour.next": "next",
+  "tour.finish": "finish",
+  "tour.header": "Hi! This is a 3D map of my GitHub. Drag to look around, scroll to zoom — or sit back for the tour.",
+  "tour.planet": "Each planet is a language, sized by its share of the code: {label} is {share}. Click one to filter the projects below.",
+  "tour.knotTitle": "The knot",
+  "tour.knot": "Just for fun. Below it, the grid floor shows the last 13 weeks of GitHub activity — hover a tower for the day.",
+
+  "snapshot.save": "⤓ snapshot",
+  "snapshot.share": "⤴ share snapshot",
+  "snapshot.busy": "rendering…",
+  "snapshot.failed": "[snapshot failed: {reason}]",
+  "snapshot.dismiss": "dismiss",
+
+  "filter.all": "All",
+  "filter.caption": "$ stack filter →",
+
+  "planets.toolbar": "Language planets — filter projects by language",
+  "planets.label": "{label}: {share} of code, {repos}",
+  "planets.repos": { one: "{count} repository", other: "{count} repositories" },
+  "planets.announce": "{filter}: {shown} of {total} repositories shown",
+  "planets.allLanguages": "All languages",
+
+  "projects.title": "/var/www/portfolio ▶ projects",
+  "projects.loading": "[loading repositories…]",
+  "projects.cached": "[showing cached data from {when}]",
+  "projects.cachedRateLimited": "[showing cached data from {when} — rate limit resets at {reset}]",
+  "projects.snapshot": "the bundled snapshot",
+  "projects.sourcesFailed": "[couldn't load {sources} — showing the other sources]",
+
+  "repos.search": "Search repositories",
+  "repos.searchPlaceholder": "name, description, topic…",
+  "repos.topic": "Topic",
+  "repos.anyTopic": "#any topic",
+  "repos.archivedFilter": "Archived",
+  "repos.sortBy": "Sort by",
+  "repos.sort": "sort: {mode}",
+  "repos.count": "{shown} of {total} repos",
+  "repos.showing": " · showing {count}",
+  "repos.reset": "reset filters",
+  "repos.empty": "No repositories matched that filter.",
+  "repos.more": "show more ({count} left)",
+  "repos.updated": "Updated {date}",
+  "repos.featured": "featured",
+  "repos.archived": "archived",
+  "sort.stars": "★ stars",
+  "sort.updated": "recently updated",
+  "sort.created": "created",
+  "sort.name": "name",
+  "archived.all": "all",
+  "archived.active": "hide archived",
+  "archived.archived": "archived only",
+
+  "detail.close": "Close repository details",
+  "detail.openOnGitHub": "open on GitHub ↗",
+  "detail.openOn": "open on {host} ↗",
+  "detail.license": "license: {license}",
+  "detail.role": "role:",
+  "detail.screenshot": "{name} screenshot {n}",
+  "detail.fetching": "[fetching {name}…]",
+  "detail.noReadme": "[no README]",
+  "detail.releases": "$ releases",
+
+  "notes.title": "~/notes",
+  "notes.count": { one: "{count} post", other: "{count} posts" },
+  "notes.tags": "Filter notes by tag",
+  "notes.allTags": "#all",
+  "notes.minutes": "{count} min read",
+  "notes.empty": "No notes with that tag.",
+  "notes.close": "Close note",
+  "notes.draft": "draft",
+  "notes.feed": "RSS feed",
+
+  "dashboard.title": "~ ▶ stats",
+  "dashboard.totals": "{repos} repos · ★ {stars} · {topics} topics",
+  "dashboard.bytes": "language share by bytes",
+  "dashboard.repoCount": "language share by repo count",
+  "dashboard.stars": "stars per repo",
+  "dashboard.years": "repos created per year",
+  "dashboard.topics": "most-used topics",
+  "dashboard.empty": "nothing to chart yet",
+  "dashboard.noStars": "no stars yet",
+  "dashboard.noTopics": "no topics set on any repo",
+  "dashboard.cloudShow": "show the 3D topic cloud",
+  "dashboard.cloudHide": "hide the 3D topic cloud",
+
+  "activity.pushes": { one: "{count} push", other: "{count} pushes" },
+  "activity.prs": { one: "{count} PR", other: "{count} PRs" },
+  "activity.issues": { one: "{count} issue", other: "{count} issues" },
+  "activity.other": " · {count} other",
+  "activity.none": "no public activity",
+
+  "contact.heading": "# or leave a message here",
+  "contact.name": "name",
+  "contact.email": "email",
+  "contact.message": "message",
+  "contact.send": "send ↵",
+  "contact.sending": "sending…",
+  "contact.retry": "↻ try again",
+  "contact.status.sending": "[delivering…]",
+  "contact.status.sent": "[sent — thanks, I'll get back to you]",
+  "contact.notes.mailto": "[your mail app should open with the message ready]",
+  "contact.notes.mock": "[mock delivery — the message was logged to the console]",
+  "contact.mailtoFallback": "→ or send it by email to {email}",
+  "contact.limited": "[you've sent a few messages already — the form opens again at {time}]",
+  "contact.errors.nameRequired": "name is required",
+  "contact.errors.emailRequired": "email is required",
+  "contact.errors.emailInvalid": "that doesn't look like an email address",
+  "contact.errors.messageShort": "write at least {min} characters",
+  "contact.errors.tooLong": "keep it under {max} characters",
+  "contact.errors.network": "[couldn't reach the server — check your connection and try again]",
+  "contact.errors.serverBusy": "[the server is busy — try again in a minute]",
+  "contact.errors.rejected": "[the message was rejected — try again later or use another channel above]",
+  "contact.errors.unknown": "[something went wrong — try another channel above]",
+
+  "shell.note": "try: filter kotlin | open <repo> | cat about",
+  "shell.input": "Terminal command",
+
+  "pwa.update": "[a new version of this page is ready]",
+  "pwa.reload": "reload",
+  "pwa.later": "later",
+  "offline.title": "You're offline",
+  "offline.lastSeen": "[offline — showing what was loaded on your last visit, {date}]",
+  "offline.nothing": "[offline — nothing has been saved from an earlier visit yet]",
+  "offline.retry": "↻ try again",
+  "offline.projects": "~ ▶ projects",
+
+
+  "footer": "© {year} {name} — Built with React & Three.js",
+};
@@ -2,9 +2,12 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import './index.css'
 import RejwanPortfolio from './App.jsx'
+import { I18nProvider } from './i18n.jsx'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <RejwanPortfolio />
+    <I18nProvider>
+      <RejwanPortfolio />
+    </I18nProvider>
   </React.StrictMode>,
 )
@@ -0,0 +1,48 @@
+import DOMPurify from "dompurify";
+import { marked } from "marked";
+
+/**
+ * Markdown → sanitized HTML for README rendering.
+ * Relative image sources point at raw.githubusercontent.com and relative links at
+ * the file view on github.com, both resolved against the README's own directory.
+ */
+function resolver({ fullName, branch, path = "" }) {
+  const dir = path.includes("/") ? path.slice(0, path.lastIndexOf("/") + 1) : "";
+  const raw = `https://raw.githubusercontent.com/${fullName}/${branch}/`;
+  const blob = `https://github.com/${fullName}/blob/${branch}/`;
+  const isRelative = url => url && !/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url);
+  const resolve = (base, url) => new URL(url.startsWith("/") ? url.slice(1) : dir + url, base).href;
+  return {
+    image: url => isRelative(url) ? resolve(raw, url) : url,
+    link: url => isRelative(url) ? resolve(blob, url) : url,
+  };
+}
+
+export function renderMarkdown(source, repo) {
+  const html = marked.parse(source, { gfm: true, async: false });
+  const r = resolver(repo);
+  DOMPurify.addHook("afterSanitizeAttributes", node => {
+    if (node.tagName === "IMG") {
+      if (node.hasAttribute("src")) node.setAttribute("src", r.image(node.getAttribute("src")));
+      node.setAttribute("loading", "lazy");
+    }
+    if (node.tagName === "A" && node.getAttribute("href")) {
+      node.setAttribute("href", r.link(node.getAttribute("href")));
+      if (!node.getAttribute("href").startsWith("#")) {
+        node.setAttribute("target", "_blank");
+        node.setAttribute("rel", "noreferrer");
+      }
+    }
+  });
+  try {
+    return DOMPurify.sanitize(html, { ADD_ATTR: ["target"] });
+  } finally {
+    DOMPurify.removeHook("afterSanitizeAttributes");
+  }
+}
+
+// GitHub's contents API returns base64 with embedded newlines; decode it as UTF-8.
+export function decodeBase64(content) {
+  const bin = atob(content.replace(/\s/g, ""));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
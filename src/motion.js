@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * Global motion preference. "auto" follows `prefers-reduced-motion`; "reduced"
+ * and "full" are explicit overrides persisted in localStorage. Scene components
+ * take a `reduced` prop and freeze or crossfade instead of moving; the DOM gets
+ * `data-motion="reduced"` on <html> so CSS transitions can be switched off too.
+ */
+export const MOTION_MODES = ["auto", "reduced", "full"];
+const STORAGE_KEY = "portfolio:motion";
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+function readMode() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return MOTION_MODES.includes(saved) ? saved : "auto";
+  } catch { return "auto"; }
+}
+
+function systemPrefersReduced() {
+  return typeof matchMedia !== "undefined" && matchMedia(QUERY).matches;
+}
+
+/**
+ * @returns {{ mode: string, reduced: boolean, setMode: (mode: string) => void }}
+ */
+export function useMotion() {
+  const [mode, setModeState] = useState(readMode);
+  const [system, setSystem] = useState(systemPrefersReduced);
+
+  useEffect(() => {
+    if (typeof matchMedia === "undefined") return;
+    const mq = matchMedia(QUERY);
+    const onChange = () => setSystem(mq.matches);
+    mq.addEventListener("change", onChange);
+    return () => mq.removeEventListener("change", onChange);
+  }, []);
+
+  const reduced = mode === "auto" ? system : mode === "reduced";
+
+  useEffect(() => {
+    document.documentElement.dataset.motion = reduced ? "reduced" : "full";
+  }, [reduced]);
+
+  const setMode = useCallback(next => {
+    setModeState(next);
+    try { localStorage.setItem(STORAGE_KEY, next); } catch { /* private mode */ }
+  }, []);
+
+  return { mode, reduced, setMode };
+}
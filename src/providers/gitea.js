@@ -0,0 +1,31 @@
+import { cachedFetch, cachedFetchAll } from "../github.js";
+
+/**
+ * Gitea and Forgejo instances (Codeberg included) through the v1 API. Their repo
+ * objects are close to GitHub's, down to a `languages_url` with byte counts.
+ */
+function api(host) {
+  return `${host.replace(/\/$/, "")}/api/v1`;
+}
+
+export default {
+  label: ({ user, host }) => `${new URL(host).host}/${user}`,
+  async user({ user, host }, { signal }) {
+    const service = new URL(host).host;
+    const u = (await cachedFetch(`${api(host)}/users/${encodeURIComponent(user)}`, { signal, service })).data;
+    return {
+      login: u.login, name: u.full_name || u.login, avatar_url: u.avatar_url, bio: u.description || null, blog: u.website || null,
+      html_url: `${host.replace(/\/$/, "")}/${u.login}`, followers: u.followers_count ?? null, following: u.following_count ?? null, public_repos: null,
+    };
+  },
+  async repos({ user, host }, { signal }) {
+    const service = new URL(host).host;
+    const raw = (await cachedFetchAll(`${api(host)}/users/${encodeURIComponent(user)}/repos?limit=50`, { signal, service })).data;
+    return raw.filter(r => !r.fork).map(r => ({
+      id: `gitea:${service}:${r.id}`, provider: "gitea", host: service, name: r.name, full_name: r.full_name,
+      html_url: r.html_url, description: r.description || null, default_branch: r.default_branch, license: null,
+      archived: !!r.archived, created_at: r.created_at, stargazers_count: r.stars_count || 0, language: r.language || null,
+      updated_at: r.updated_at, topics: r.topics || [], languages_url: r.languages_url || `${api(host)}/repos/${r.full_name}/languages`,
+    }));
+  },
+};
@@ -0,0 +1,12 @@
+import { GITHUB_API, ghFetch, ghFetchAll, normalizeRepos } from "../github.js";
+
+// Another GitHub account or organisation next to `github.user` in the config.
+export default {
+  label: ({ user }) => `github.com/${user}`,
+  async user({ user }, { signal }) {
+    return (await ghFetch(`${GITHUB_API}/users/${user}`, { signal })).data;
+  },
+  async repos({ user }, { signal }) {
+    return normalizeRepos((await ghFetchAll(`${GITHUB_API}/users/${user}/repos?per_page=100&sort=updated`, { signal })).data);
+  },
+};
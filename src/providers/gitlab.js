@@ -0,0 +1,45 @@
+import { NotFoundError, cachedFetch, cachedFetchAll } from "../github.js";
+
+/**
+ * GitLab (gitlab.com or self-hosted) through the v4 API. Project listings carry
+ * no language, so each project's /languages is asked for its main one. GitLab
+ * only reports percentages there, not bytes, so its repos don't size planets.
+ */
+const DEFAULT_HOST = "https://gitlab.com";
+
+function api(host = DEFAULT_HOST) {
+  return `${host.replace(/\/$/, "")}/api/v4`;
+}
+
+function mainLanguage(percentages) {
+  const top = Object.entries(percentages || {}).sort((a, b) => b[1] - a[1])[0];
+  return top ? top[0] : null;
+}
+
+export default {
+  label: ({ user, host = DEFAULT_HOST }) => `${new URL(host).host}/${user}`,
+  async user({ user, host }, { signal }) {
+    const service = new URL(host || DEFAULT_HOST).host;
+    const [u] = (await cachedFetch(`${api(host)}/users?username=${encodeURIComponent(user)}`, { signal, service })).data;
+    if (!u) throw new NotFoundError(user, service);
+    return {
+      login: u.username, name: u.name, avatar_url: u.avatar_url, bio: u.bio || null, blog: u.website_url || null,
+      html_url: u.web_url, followers: u.followers ?? null, following: u.following ?? null, public_repos: null,
+    };
+  },
+  async repos({ user, host }, { signal }) {
+    const service = new URL(host || DEFAULT_HOST).host;
+    const url = `${api(host)}/users/${encodeURIComponent(user)}/projects?per_page=100&order_by=last_activity_at`;
+    const projects = (await cachedFetchAll(url, { signal, service })).data.filter(p => !p.forked_from_project);
+    return Promise.all(projects.map(async p => {
+      let language = null;
+      try { language = mainLanguage((await cachedFetch(`${api(host)}/projects/${p.id}/languages`, { signal, service })).data); } catch { /* keep the repo without it */ }
+      return {
+        id: `gitlab:${service}:${p.id}`, provider: "gitlab", host: service, name: p.path, full_name: p.path_with_namespace,
+        html_url: p.web_url, description: p.description || null, default_branch: p.default_branch, license: null,
+        archived: !!p.archived, created_at: p.created_at, stargazers_count: p.star_count || 0, language,
+        updated_at: p.last_activity_at, topics: p.topics || p.tag_list || [],
+      };
+    }));
+  },
+};
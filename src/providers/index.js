@@ -0,0 +1,73 @@
+import { useEffect, useState } from "react";
+import { SORT_MODES } from "../repoQuery.js";
+import gitea from "./gitea.js";
+import github from "./github.js";
+import gitlab from "./gitlab.js";
+import mock from "./mock.js";
+import staticJson from "./static.js";
+
+/**
+ * Code hosts besides the main GitHub account (`sources` in the portfolio config).
+ *
+ * A provider is `{ label(options), user(options, { signal }), repos(options, { signal }) }`.
+ * `user` resolves to a GitHub-shaped profile (login, name, avatar_url, bio, blog,
+ * html_url, followers, following, public_repos); `repos` to the shape RepoCard
+ * renders, i.e. GitHub's field names (name, html_url, description,
+ * stargazers_count, language, topics, updated_at, …) plus `provider` and `host`.
+ * `languages` (bytes) or a `languages_url` returning bytes is optional; repos
+ * without either don't size the planets.
+ */
+export const PROVIDERS = { github, gitlab, gitea, static: staticJson, mock };
+
+/**
+ * Repos from several sources as one list. Repos with the same name are taken to
+ * be mirrors of each other and the first list wins, so put the main account first.
+ */
+export function mergeRepos(lists) {
+  const byName = new Map();
+  for (const repo of lists.flat()) {
+    const key = repo.name.toLowerCase();
+    if (!byName.has(key)) byName.set(key, repo);
+  }
+  return [...byName.values()].sort(SORT_MODES.stars);
+}
+
+async function loadSource(source, opts) {
+  const provider = PROVIDERS[source.provider];
+  if (!provider) throw new Error(`unknown source provider "${source.provider}"`);
+  const [user, repos] = await Promise.all([
+    provider.user(source, opts).catch(() => null), // a profile is nice to have; the repos are the point
+    provider.repos(source, opts),
+  ]);
+  return { user: user && { ...user, public_repos: user.public_repos ?? repos.length }, repos };
+}
+
+/**
+ * Loads every configured source in parallel. A source that fails is named in
+ * `failed` and the others still show.
+ * @returns {{ repos: object[], profiles: object[], failed: string[], loading: boolean }}
+ */
+export function useSources(sources = []) {
+  const [state, setState] = useState({ repos: [], profiles: [], failed: [], loading: sources.length > 0 });
+  const key = JSON.stringify(sources);
+
+  useEffect(() => {
+    if (!sources.length) return;
+    const abort = new AbortController();
+    setState(s => ({ ...s, loading: true }));
+    Promise.allSettled(sources.map(s => loadSource(s, { signal: abort.signal }))).then(results => {
+      if (abort.signal.aborted) return;
+      const loaded = results.filter(r => r.status === "fulfilled").map(r => r.value);
+      setState({
+        repos: mergeRepos(loaded.map(l => l.repos)),
+        profiles: loaded.map(l => l.user).filter(Boolean),
+        failed: results.flatMap((r, i) => (r.status === "rejected" ? [PROVIDERS[sources[i].provider]?.label(sources[i]) || sources[i].provider] : [])),
+        loading: false,
+      });
+    });
+    return () => abort.abort();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [key]);
+
+  return state;
+}
@@ -0,0 +1,28 @@
+import { fromStatic, fromStaticUser } from "./static.js";
+
+/**
+ * Canned repos for working offline: `sources: [{ provider: mock }]`. Answers
+ * after a short delay like a real API would; never touches the network.
+ */
+const DELAY = 400;
+
+const DATA = {
+  user: { login: "mock", name: "Mock Source", bio: "Offline stand-in for a code host" },
+  repos: [
+    { name: "mock-compose-gallery", description: "Image gallery built with Jetpack Compose", stars: 14, language: "Kotlin", topics: ["android", "compose"], updated: "2025-05-02T10:00:00Z", created: "2024-11-20T10:00:00Z", languages: { Kotlin: 52000 } },
+    { name: "mock-flutter-budget", description: "Budget tracker with offline sync", stars: 6, language: "Dart", topics: ["flutter", "finance"], updated: "2025-03-18T10:00:00Z", created: "2024-06-01T10:00:00Z", languages: { Dart: 38000, Kotlin: 900 } },
+    { name: "mock-api-gateway", description: "Tiny REST gateway for the apps above", stars: 2, language: "TypeScript", topics: ["api"], updated: "2024-12-09T10:00:00Z", created: "2024-02-14T10:00:00Z", languages: { TypeScript: 21000 } },
+    { name: "mock-dotfiles", description: "Archived shell setup", stars: 0, language: "Shell", topics: [], updated: "2023-08-30T10:00:00Z", created: "2021-01-05T10:00:00Z", archived: true, languages: { Shell: 4000 } },
+  ],
+};
+
+const later = (value, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => resolve(value), DELAY);
+  signal?.addEventListener("abort", () => { clearTimeout(timer); reject(signal.reason); });
+});
+
+export default {
+  label: () => "mock",
+  user: (_, { signal }) => later(fromStaticUser(DATA.user), signal),
+  repos: (_, { signal }) => later(fromStatic(DATA.repos, "mock"), signal),
+};
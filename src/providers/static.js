@@ -0,0 +1,41 @@
+import { cachedFetch } from "../github.js";
+
+/**
+ * A JSON file you maintain yourself, for work that lives nowhere with an API
+ * (or nowhere public). Relative URLs resolve against the site, so a file in
+ * `public/` works. Format:
+ *
+ *   { "user": { "login", "name", "avatar", "bio", "url" },   // optional
+ *     "repos": [{ "name", "url", "description", "stars", "language", "topics",
+ *                 "updated", "created", "archived", "languages": { "Kotlin": 1234 } }] }
+ */
+export function fromStatic(list, provider = "static") {
+  return (list || []).filter(r => r?.name).map(r => {
+    let host = null;
+    try { host = r.url ? new URL(r.url).host : null; } catch { /* not a URL */ }
+    return {
+      id: `${provider}:${r.url || r.name}`, provider, host, name: r.name, full_name: r.name,
+      html_url: r.url || null, description: r.description || null, license: null,
+      archived: !!r.archived, created_at: r.created || null, stargazers_count: r.stars || 0, language: r.language || null,
+      updated_at: r.updated || null, topics: r.topics || [], languages: r.languages,
+    };
+  });
+}
+
+export function fromStaticUser(u) {
+  return u && { login: u.login || u.name, name: u.name, avatar_url: u.avatar || null, bio: u.bio || null, blog: null, html_url: u.url || null, public_repos: null };
+}
+
+async function load(url, signal) {
+  return (await cachedFetch(new URL(url, window.location.href).href, { signal, service: "static JSON" })).data;
+}
+
+export default {
+  label: ({ url }) => url,
+  async user({ url }, { signal }) {
+    return fromStaticUser((await load(url, signal)).user);
+  },
+  async repos({ url }, { signal }) {
+    return fromStatic((await load(url, signal)).repos);
+  },
+};
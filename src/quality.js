@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * Rendering quality tiers for the Canvas scene. The starting tier is guessed from
+ * device hints; in "auto" mode drei's PerformanceMonitor then steps it up or down
+ * from the measured frame rate. A manual choice is persisted in localStorage.
+ */
+export const QUALITY_TIERS = {
+  low: { particles: 300, stars: 1200, dpr: [1, 1], shadows: false, knot: [80, 12], knotWire: [48, 8], planetDetail: 0, rainColumns: 10 },
+  medium: { particles: 700, stars: 3000, dpr: [1, 1.5], shadows: false, knot: [140, 20], knotWire: [72, 12], planetDetail: 1, rainColumns: 18 },
+  high: { particles: 1200, stars: 5500, dpr: [1, 2], shadows: true, knot: [220, 32], knotWire: [100, 16], planetDetail: 1, rainColumns: 28 },
+};
+export const QUALITY_MODES = ["auto", "low", "medium", "high"];
+const ORDER = ["low", "medium", "high"];
+const STORAGE_KEY = "portfolio:quality";
+
+export function guessTier() {
+  const nav = typeof navigator !== "undefined" ? navigator : {};
+  const cores = nav.hardwareConcurrency || 4;
+  const memory = nav.deviceMemory || 4;
+  const coarse = typeof matchMedia !== "undefined" && matchMedia("(pointer: coarse)").matches;
+  if (nav.connection?.saveData || cores <= 2 || memory <= 2) return "low";
+  if (coarse || cores <= 4 || memory <= 4) return "medium";
+  return "high";
+}
+
+function readMode() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return QUALITY_MODES.includes(saved) ? saved : "auto";
+  } catch { return "auto"; }
+}
+
+/**
+ * @returns {{ mode: string, tier: string, settings: typeof QUALITY_TIERS.high,
+ *   setMode: (mode: string) => void, decline: () => void, incline: () => void }}
+ *   `decline`/`incline` are for the PerformanceMonitor and do nothing outside auto mode
+ */
+export function useQuality() {
+  const [mode, setModeState] = useState(readMode);
+  const [autoTier, setAutoTier] = useState(guessTier);
+
+  const setMode = useCallback(next => {
+    setModeState(next);
+    try { localStorage.setItem(STORAGE_KEY, next); } catch { /* private mode */ }
+  }, []);
+  const shift = useCallback(dir => setAutoTier(t => ORDER[Math.max(0, Math.min(ORDER.length - 1, ORDER.indexOf(t) + dir))]), []);
+  const decline = useCallback(() => { if (mode === "auto") shift(-1); }, [mode, shift]);
+  const incline = useCallback(() => { if (mode === "auto") shift(1); }, [mode, shift]);
+
+  const tier = mode === "auto" ? autoTier : mode;
+  return { mode, tier, settings: QUALITY_TIERS[tier], setMode, decline, incline };
+}
+
+/**
+ * True while `ref`'s element is on screen and the tab is visible; the Canvas
+ * switches to `frameloop="never"` otherwise.
+ */
+export function useInView(ref) {
+  const [onScreen, setOnScreen] = useState(true);
+  const [visible, setVisible] = useState(() => typeof document === "undefined" || document.visibilityState !== "hidden");
+
+  useEffect(() => {
+    const onVisibility = () => setVisible(document.visibilityState !== "hidden");
+    document.addEventListener("visibilitychange", onVisibility);
+    let observer;
+    if (ref.current && "IntersectionObserver" in window) {
+      observer = new IntersectionObserver(([entry]) => setOnScreen(entry.isIntersecting));
+      observer.observe(ref.current);
+    }
+    return () => {
+      document.removeEventListener("visibilitychange", onVisibility);
+      observer?.disconnect();
+    };
+  }, [ref]);
+
+  return onScreen && visible;
+}
+
+let webglSupport;
+/**
+ * Whether a WebGL context can be created at all (blocklisted GPU, disabled
+ * hardware acceleration, very old browser). Checked once per page load.
+ */
+export function supportsWebGL() {
+  if (webglSupport !== undefined) return webglSupport;
+  try {
+    const canvas = document.createElement("canvas");
+    const gl = canvas.getContext("webgl2") || canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+    webglSupport = !!gl;
+    gl?.getExtension("WEBGL_lose_context")?.loseContext();
+  } catch {
+    webglSupport = false;
+  }
+  return webglSupport;
+}
@@ -0,0 +1,60 @@
+/**
+ * Search, facet filtering and sorting for the repo list. Facets combine with AND;
+ * the free-text query matches every whitespace-separated term against name,
+ * description and topics. Featured repos (see withFeatured) are pinned on top in
+ * config order, whatever the sort.
+ */
+// Keys only; the UI labels them through the `sort.*` and `archived.*` messages.
+export const SORT_MODES = {
+  stars: (a, b) => (b.stargazers_count - a.stargazers_count) || byDate("updated_at")(a, b),
+  updated: (a, b) => byDate("updated_at")(a, b),
+  created: (a, b) => byDate("created_at")(a, b),
+  name: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }),
+};
+export const ARCHIVED_MODES = ["all", "active", "archived"];
+
+function byDate(key) {
+  return (a, b) => (Date.parse(b[key]) || 0) - (Date.parse(a[key]) || 0);
+}
+
+function matchesQuery(repo, terms) {
+  const haystack = [repo.name, repo.description, ...(repo.topics || [])].join(" ").toLowerCase();
+  return terms.every(t => haystack.includes(t));
+}
+
+/**
+ * @param {object[]} repos
+ * @param {{ filter?: string, languages?: string[], query?: string, topic?: string, archived?: string, sort?: string, pin?: boolean }} opts
+ *   `languages` widens `filter` when it names a planet group such as "Other"
+ */
+export function queryRepos(repos, { filter = "All", languages, query = "", topic, archived = "all", sort = "stars", pin = true } = {}) {
+  const wanted = filter && filter !== "All" ? (languages || [filter]).map(l => l.toLowerCase()) : null;
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const list = repos.filter(r =>
+    (!wanted || wanted.includes((r.language || "").toLowerCase())) &&
+    (!topic || r.topics?.includes(topic)) &&
+    (archived === "all" || (archived === "archived") === !!r.archived) &&
+    (!terms.length || matchesQuery(r, terms))
+  );
+  list.sort(SORT_MODES[sort] || SORT_MODES.stars);
+  if (!pin) return list;
+  return [...list.filter(r => r.featured).sort((a, b) => a.featured.rank - b.featured.rank), ...list.filter(r => !r.featured)];
+}
+
+/**
+ * Merges the curated `featured` entries of the config (screenshots, store links,
+ * role, stack, highlights) into the matching repo records as `repo.featured`,
+ * with `rank` = position in the config. Entries without a matching repo are ignored.
+ */
+export function withFeatured(repos, featured = []) {
+  if (!featured.length) return repos;
+  const byName = new Map(featured.map((f, rank) => [f.repo.toLowerCase(), { ...f, rank }]));
+  return repos.map(r => (byName.has(r.name.toLowerCase()) ? { ...r, featured: byName.get(r.name.toLowerCase()) } : r));
+}
+
+// Facet values ordered by how many repos carry them.
+export function facetCounts(repos, pick) {
+  const counts = new Map();
+  for (const r of repos) for (const v of [].concat(pick(r) || [])) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+}
@@ -0,0 +1,62 @@
+import { OTHER_COLOR, OTHER_LABEL, aggregateLanguages, languageColor } from "./languages.js";
+import { facetCounts } from "./repoQuery.js";
+
+/**
+ * Numbers behind the `~ ▶ stats` panel, the `ls stats` listing and the topic
+ * cloud, all from the repo list the page already has (so they follow live
+ * refreshes and extra sources like everything else).
+ */
+const MAX_LANGUAGES = 6; // the rest fold into "Other"
+const MAX_STARRED = 10;
+const MAX_TOPICS = 12;
+
+// [label, value] pairs → slices with shares, folding the tail into "Other".
+function slices(pairs, colors, max = MAX_LANGUAGES) {
+  const sorted = pairs.filter(([, v]) => v > 0).sort((a, b) => b[1] - a[1]);
+  const total = sorted.reduce((sum, [, v]) => sum + v, 0);
+  if (!total) return [];
+  const head = sorted.slice(0, max);
+  const rest = sorted.slice(max).reduce((sum, [, v]) => sum + v, 0);
+  if (rest) head.push([OTHER_LABEL, rest]);
+  return head.map(([label, value]) => ({ label, value, share: value / total, color: colors[label] || (label === OTHER_LABEL ? OTHER_COLOR : languageColor(label)) }));
+}
+
+/**
+ * @param {object[]} repos
+ * @param {{ colors?: Record<string, string> }} [opts] per-language colour overrides, as for the planets
+ * @returns {{
+ *   bytes: Array<{ label: string, value: number, share: number, color: string }>,
+ *   repoCount: Array<{ label: string, value: number, share: number, color: string }>,
+ *   stars: Array<{ name: string, value: number }>,
+ *   years: Array<{ year: number, value: number }>,
+ *   topics: Array<{ topic: string, value: number }>,
+ *   totals: { repos: number, stars: number, topics: number, bytes: number },
+ * }}
+ */
+export function repoStats(repos, { colors = {} } = {}) {
+  const created = repos.filter(r => r.created_at).map(r => new Date(r.created_at).getUTCFullYear()).filter(Number.isFinite);
+  const byYear = new Map();
+  for (const year of created) byYear.set(year, (byYear.get(year) || 0) + 1);
+  const first = Math.min(...created), last = Math.max(...created);
+  const allTopics = facetCounts(repos, r => r.topics);
+  const languageBytes = Object.entries(aggregateLanguages(repos));
+
+  return {
+    bytes: slices(languageBytes, colors),
+    repoCount: slices(facetCounts(repos, r => r.language), colors),
+    stars: repos
+      .filter(r => r.stargazers_count > 0)
+      .sort((a, b) => b.stargazers_count - a.stargazers_count || a.name.localeCompare(b.name))
+      .slice(0, MAX_STARRED)
+      .map(r => ({ name: r.name, value: r.stargazers_count })),
+    // every year from the first repo to the latest, so quiet years show as gaps
+    years: created.length ? Array.from({ length: last - first + 1 }, (_, i) => ({ year: first + i, value: byYear.get(first + i) || 0 })) : [],
+    topics: allTopics.slice(0, MAX_TOPICS).map(([topic, value]) => ({ topic, value })),
+    totals: {
+      repos: repos.length,
+      stars: repos.reduce((sum, r) => sum + (r.stargazers_count || 0), 0),
+      topics: allTopics.length,
+      bytes: languageBytes.reduce((sum, [, n]) => sum + n, 0),
+    },
+  };
+}
@@ -0,0 +1,331 @@
+import { queryRepos } from "./repoQuery.js";
+import { MAX_SNAPSHOT_SIDE, SNAPSHOT_SIZES, parseSnapshotSize } from "./snapshotCard.js";
+
+/**
+ * Command interpreter behind the <Terminal> component. Commands are pure-ish:
+ * they read from and act through the `ctx` the terminal passes in, so the shell
+ * drives the same view state (filter, active planet, search, open repo) as the
+ * 3D scene and the buttons.
+ *
+ * ctx: { repos, planets, sections, view, setView, activatePlanet(label), scrollTo(id),
+ *        themes?, theme?, setTheme?(name), notes?, stats?, startTour?(), replayIntro?(),
+ *        snapshot?([width, height], { share }) → Promise<{ fileName, how }> }
+ *
+ * Output is a list of lines `{ text, tone }` with tone "out" | "err" | "dim" | "ok".
+ * Commands that finish later print through `shell.print(lines)`.
+ * `a | grep x | head 3` pipes one command's text output through line filters.
+ */
+const out = text => ({ text, tone: "out" });
+const err = text => ({ text, tone: "err" });
+const dim = text => ({ text, tone: "dim" });
+const ok = text => ({ text, tone: "ok" });
+
+function languagesOf(ctx) {
+  const names = new Set(ctx.planets.map(p => p.label));
+  for (const r of ctx.repos) if (r.language) names.add(r.language);
+  return [...names];
+}
+
+function dirsOf(ctx) {
+  return ["projects", ...(ctx.stats ? ["stats"] : []), ...(ctx.notes?.length ? ["notes"] : []), ...ctx.sections.map(s => s.id)];
+}
+
+function findNote(ctx, slug) {
+  const q = slug.toLowerCase();
+  return ctx.notes?.find(n => n.slug === q) || ctx.notes?.find(n => n.slug.startsWith(q));
+}
+
+function findRepo(ctx, name) {
+  const q = name.toLowerCase();
+  return ctx.repos.find(r => r.name.toLowerCase() === q) || ctx.repos.find(r => r.name.toLowerCase().startsWith(q));
+}
+
+function sectionText(section) {
+  if (section.kind === "text") return section.paragraphs.flatMap((p, i) => i ? ["", p] : [p]);
+  if (section.kind === "contact") return section.rows.map(r => `${r.label.padEnd(10)} ${r.href || r.value}`);
+  if (section.kind === "cards") return section.cards.flatMap(c => [`> ${c.title}`, `  ${c.text}`]);
+  return [];
+}
+
+function noteLine(n) {
+  return `${n.date}  ${n.slug.padEnd(28)} ${n.tags.map(t => `#${t}`).join(" ")}`;
+}
+
+// `ls stats`: the panel's numbers as text.
+function statsLines(stats) {
+  const pct = share => `${(share * 100).toFixed(1)}%`.padStart(6);
+  return [
+    out(`${stats.totals.repos} repos, ★${stats.totals.stars}, ${stats.totals.topics} topics`),
+    dim("# languages by bytes"),
+    ...stats.bytes.map(s => out(`${s.label.padEnd(20)} ${pct(s.share)}`)),
+    dim("# languages by repo count"),
+    ...stats.repoCount.map(s => out(`${s.label.padEnd(20)} ${String(s.value).padStart(6)}`)),
+    dim("# repos per year"),
+    ...stats.years.map(y => out(`${y.year}  ${"▇".repeat(y.value)} ${y.value}`)),
+    dim("# top topics"),
+    ...stats.topics.map(t => out(`#${t.topic.padEnd(19)} ${String(t.value).padStart(6)}`)),
+  ];
+}
+
+function repoLine(r) {
+  return `${r.name.padEnd(28)} ★${String(r.stargazers_count || 0).padEnd(4)} ${r.language || ""}`;
+}
+
+// Edit distance, for "did you mean" hints.
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0]; row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cur = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = cur;
+    }
+  }
+  return row[b.length];
+}
+
+function closest(word, candidates) {
+  let best = null, score = Infinity;
+  for (const c of candidates) {
+    const d = distance(word.toLowerCase(), c.toLowerCase());
+    if (d < score) { best = c; score = d; }
+  }
+  return score <= Math.max(2, Math.floor(word.length / 3)) ? best : null;
+}
+
+// ---------------- Commands ----------------
+export const COMMANDS = {
+  help: {
+    usage: "help",
+    summary: "list commands",
+    run: () => [
+      ...Object.entries(COMMANDS).map(([name, c]) => out(`${c.usage.padEnd(18)} ${c.summary}`)),
+      dim("pipes: <cmd> | grep <text> | head [n] | tail [n] | sort | wc"),
+      dim("keys: ↑/↓ history, Tab completes commands, repos and languages"),
+    ],
+  },
+  ls: {
+    usage: "ls [dir]",
+    summary: "list sections, projects/, stats/ or notes/; a section prints like cat",
+    complete: ctx => dirsOf(ctx),
+    run: (args, ctx, shell) => {
+      const dir = (args[0] || shell.cwd).replace(/^~\/(?=.)/, "");
+      if (dir === "projects") {
+        const list = queryRepos(ctx.repos, { ...ctx.view, languages: ctx.planets.find(p => p.label === ctx.view.filter)?.languages });
+        return list.length ? list.map(r => out(repoLine(r))) : [dim("(no repos match the current filter)")];
+      }
+      if (dir === "notes" && ctx.notes?.length) return ctx.notes.map(n => out(noteLine(n)));
+      if (dir === "stats" && ctx.stats) return statsLines(ctx.stats);
+      if (dir === "~" || dir === "/") return dirsOf(ctx).map((d, i) => out(i === 0 ? `${d}/` : d));
+      // `cd about` then `ls`: sections are files as much as directories
+      const section = ctx.sections.find(s => s.id === dir);
+      if (section) return sectionText(section).map(out);
+      return [err(`ls: ${dir}: no such directory`)];
+    },
+  },
+  cd: {
+    usage: "cd <dir>",
+    summary: "jump to a section",
+    complete: ctx => ["~", ...dirsOf(ctx)],
+    run: (args, ctx, shell) => {
+      const dir = (args[0] || "~").replace(/^~\//, "");
+      if (dir === "~" || dir === ".." || dir === "/") { shell.cwd = "~"; ctx.scrollTo("top"); return []; }
+      if (!dirsOf(ctx).includes(dir)) {
+        const hint = closest(dir, dirsOf(ctx));
+        return [err(`cd: ${dir}: no such directory${hint ? ` — did you mean ${hint}?` : ""}`)];
+      }
+      shell.cwd = dir;
+      ctx.scrollTo(dir);
+      return [];
+    },
+  },
+  cat: {
+    usage: "cat <section>",
+    summary: "print about, contact, …",
+    complete: ctx => ctx.sections.map(s => s.id),
+    run: (args, ctx) => {
+      if (!args[0]) return [err("cat: missing operand — try `cat about`")];
+      const section = ctx.sections.find(s => s.id === args[0]);
+      if (!section) {
+        if (findRepo(ctx, args[0])) return [err(`cat: ${args[0]} is a repo — try \`open ${args[0]}\``)];
+        const hint = closest(args[0], ctx.sections.map(s => s.id));
+        return [err(`cat: ${args[0]}: no such file${hint ? ` — did you mean ${hint}?` : ""}`)];
+      }
+      return sectionText(section).map(out);
+    },
+  },
+  filter: {
+    usage: "filter <lang|all>",
+    summary: "filter projects, move the orbiters",
+    complete: ctx => ["all", ...languagesOf(ctx)],
+    run: (args, ctx) => {
+      const want = args.join(" ");
+      if (!want || want.toLowerCase() === "all") { ctx.setView({ filter: "All", active: null }); return [ok("filter → All")]; }
+      const label = languagesOf(ctx).find(l => l.toLowerCase() === want.toLowerCase());
+      if (!label) {
+        const hint = closest(want, languagesOf(ctx));
+        return [err(`filter: no repos in ${want}${hint ? ` — did you mean ${hint}?` : ""}`)];
+      }
+      if (ctx.planets.some(p => p.label === label)) ctx.activatePlanet(label);
+      else ctx.setView({ filter: label, active: null });
+      return [ok(`filter → ${label}`)];
+    },
+  },
+  open: {
+    usage: "open <repo>",
+    summary: "show a repo's details",
+    complete: ctx => ctx.repos.map(r => r.name),
+    run: (args, ctx) => {
+      if (!args[0]) return [err("open: missing repo name — `ls projects` lists them")];
+      const repo = findRepo(ctx, args.join(" "));
+      if (!repo) {
+        const hint = closest(args[0], ctx.repos.map(r => r.name));
+        return [err(`open: ${args[0]}: no such repo${hint ? ` — did you mean ${hint}?` : ""}`)];
+      }
+      ctx.setView({ repo: repo.name });
+      return [ok(`opening ${repo.name}…`)];
+    },
+  },
+  read: {
+    usage: "read <note>",
+    summary: "open a note from notes/",
+    complete: ctx => (ctx.notes || []).map(n => n.slug),
+    run: (args, ctx) => {
+      if (!ctx.notes?.length) return [err("read: there are no notes yet")];
+      if (!args[0]) return [err("read: missing note — `ls notes` lists them")];
+      const note = findNote(ctx, args[0]);
+      if (!note) {
+        const hint = closest(args[0], ctx.notes.map(n => n.slug));
+        return [err(`read: ${args[0]}: no such note${hint ? ` — did you mean ${hint}?` : ""}`)];
+      }
+      ctx.setView({ note: note.slug });
+      return [ok(`opening ${note.title}…`)];
+    },
+  },
+  search: {
+    usage: "search <query>",
+    summary: "search repos (empty clears)",
+    run: (args, ctx) => {
+      const query = args.join(" ");
+      ctx.setView({ query });
+      if (!query) return [ok("search cleared")];
+      const hits = queryRepos(ctx.repos, { query });
+      return hits.length ? hits.map(r => out(repoLine(r))) : [dim(`no repos match "${query}"`)];
+    },
+  },
+  snapshot: {
+    usage: "snapshot [size]",
+    summary: "save the 3D view as a PNG (--share to share it)",
+    complete: () => [...Object.keys(SNAPSHOT_SIZES), "--share"],
+    run: (args, ctx, shell) => {
+      if (!ctx.snapshot) return [err("snapshot: not available here")];
+      const share = args.includes("--share");
+      const rest = args.filter(a => a !== "--share");
+      const size = rest.length <= 1 && parseSnapshotSize(rest[0]);
+      if (!size) return [err(`snapshot: size is ${Object.keys(SNAPSHOT_SIZES).join(", ")} or <width>x<height> up to ${MAX_SNAPSHOT_SIDE}`)];
+      const done = { shared: f => ok(`shared ${f}`), saved: f => ok(`saved ${f}`), cancelled: () => dim("share cancelled") };
+      ctx.snapshot(size, { share }).then(
+        ({ fileName, how }) => shell.print?.([done[how](fileName)]),
+        e => shell.print?.([err(`snapshot: ${e.message}`)]),
+      );
+      return [dim(`rendering ${size[0]}×${size[1]}…`)];
+    },
+  },
+  theme: {
+    usage: "theme [name]",
+    summary: "list or switch colour themes",
+    complete: ctx => ctx.themes || [],
+    run: (args, ctx) => {
+      if (!ctx.themes?.length) return [err("theme: no themes available")];
+      if (!args[0]) return ctx.themes.map(t => out(`${t === ctx.theme ? "*" : " "} ${t}`));
+      if (!ctx.themes.includes(args[0])) return [err(`theme: unknown theme ${args[0]} — one of ${ctx.themes.join(", ")}`)];
+      ctx.setTheme(args[0]);
+      return [ok(`theme → ${args[0]}`)];
+    },
+  },
+  tour: {
+    usage: "tour",
+    summary: "guided tour of the 3D scene",
+    run: (args, ctx) => {
+      if (!ctx.startTour) return [err("tour: needs the 3D scene, which isn't running")];
+      ctx.scrollTo("top");
+      ctx.startTour();
+      return [ok("starting the tour — Esc ends it")];
+    },
+  },
+  whoami: {
+    usage: "whoami",
+    summary: "replay the intro",
+    run: (args, ctx) => {
+      if (!ctx.replayIntro) return [err("whoami: needs the 3D scene, which isn't running")];
+      ctx.scrollTo("top");
+      ctx.replayIntro();
+      return [ok("replaying the intro")];
+    },
+  },
+  clear: { usage: "clear", summary: "clear the screen", run: () => null },
+};
+
+// ---------------- Pipes ----------------
+const FILTERS = {
+  grep: (lines, args) => {
+    const q = args.join(" ").toLowerCase();
+    return lines.filter(l => l.text.toLowerCase().includes(q));
+  },
+  head: (lines, args) => lines.slice(0, Number(args[0]) || 10),
+  tail: (lines, args) => lines.slice(-(Number(args[0]) || 10)),
+  sort: lines => [...lines].sort((a, b) => a.text.localeCompare(b.text)),
+  wc: lines => [out(String(lines.length))],
+};
+
+function tokenize(segment) {
+  return segment.trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Runs one input line. Returns the output lines, or `null` when the screen
+ * should be cleared. `shell` carries state between calls (cwd).
+ */
+export function runLine(line, ctx, shell) {
+  const [head, ...pipes] = line.split("|");
+  const [name, ...args] = tokenize(head);
+  if (!name) return [];
+  const cmd = COMMANDS[name.toLowerCase()];
+  if (!cmd) {
+    const hint = closest(name, Object.keys(COMMANDS));
+    return [err(`${name}: command not found.${hint ? ` Did you mean \`${hint}\`?` : ""} Type \`help\` for a list.`)];
+  }
+  let lines = cmd.run(args, ctx, shell);
+  if (lines === null) return null;
+  for (const segment of pipes) {
+    const [f, ...fargs] = tokenize(segment);
+    if (!FILTERS[f]) return [...lines, err(`${f || "|"}: not a pipe filter (${Object.keys(FILTERS).join(", ")})`)];
+    lines = FILTERS[f](lines, fargs);
+  }
+  return lines;
+}
+
+/**
+ * Tab completion for the last word of `line`, judged by the segment after the
+ * last `|`: its first word completes to a command (or a filter after a pipe),
+ * later words to what that command takes. Filter arguments don't complete.
+ * @returns {{ line: string, options: string[] }} the completed line and, when ambiguous, the candidates
+ */
+export function completeLine(line, ctx) {
+  const pipe = line.lastIndexOf("|");
+  const before = line.slice(0, pipe + 1);
+  const parts = line.slice(pipe + 1).split(/\s+/);
+  const word = parts.pop();
+  const name = parts.find(Boolean);
+  let candidates;
+  if (!name) candidates = Object.keys(pipe > -1 ? FILTERS : COMMANDS);
+  else if (pipe > -1) candidates = [];
+  else candidates = COMMANDS[name.toLowerCase()]?.complete?.(ctx) || [];
+  const matches = candidates.filter(c => c.toLowerCase().startsWith(word.toLowerCase()));
+  if (matches.length === 0) return { line, options: [] };
+  if (matches.length === 1) return { line: before + [...parts, matches[0]].join(" ") + " ", options: [] };
+  let prefix = matches[0];
+  for (const m of matches) while (!m.toLowerCase().startsWith(prefix.toLowerCase())) prefix = prefix.slice(0, -1);
+  return { line: before + [...parts, prefix.length > word.length ? prefix : word].join(" "), options: matches };
+}
@@ -0,0 +1,140 @@
+/**
+ * The snapshot card: name, tagline, active filter and avatar in a terminal
+ * window over a picture of the scene, as one SVG document. Kept free of
+ * React/DOM like themes.js, so the page draws it over a capture of the WebGL
+ * canvas (Snapshot.jsx) and the build draws it over backdropSvg() for the
+ * OpenGraph image (plugins/og-image.js).
+ *
+ * Text is set in system monospace fonts: an SVG drawn as an image can't see the
+ * page's web fonts, and the build rasteriser only has what the machine has.
+ */
+export const SNAPSHOT_SIZES = { og: [1200, 630], hd: [1920, 1080], square: [1080, 1080], "4k": [3840, 2160] };
+export const DEFAULT_SNAPSHOT_SIZE = "hd";
+export const MAX_SNAPSHOT_SIDE = 4096;
+const MIN_SNAPSHOT_SIDE = 64;
+const BASE = [1200, 630]; // the card is laid out at this size and scaled to fit
+const FONT = "ui-monospace, SFMono-Regular, Menlo, Consolas, 'DejaVu Sans Mono', 'Liberation Mono', monospace";
+const CHAR = 0.6; // monospace advance in ems, for fitting text to the window
+const DOTS = ["#f87171", "#facc15", "#4ade80"]; // TerminalWindow's red/yellow/green-400
+
+// Same camera as the Canvas, so the flat backdrop lines up with a capture.
+const CAMERA_Z = 9;
+const HALF_FOV_TAN = Math.tan((42 / 2) * (Math.PI / 180));
+
+const escapeXml = s => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+const n = x => +x.toFixed(2);
+
+// Cuts `text` to what fits in `width` at `size`, with an ellipsis.
+function fit(text, size, width) {
+  const chars = [...text];
+  const max = Math.max(1, Math.floor(width / (size * CHAR)));
+  return chars.length > max ? `${chars.slice(0, max - 1).join("")}…` : text;
+}
+
+function hostOf(url) {
+  try { return new URL(url).host; } catch { return ""; }
+}
+
+/** "og" | "hd" | "square" | "4k" | "<w>x<h>" → [width, height], or null when it isn't one. */
+export function parseSnapshotSize(arg = DEFAULT_SNAPSHOT_SIZE) {
+  const preset = SNAPSHOT_SIZES[arg.toLowerCase()];
+  if (preset) return preset;
+  const m = /^(\d+)[x×](\d+)$/i.exec(arg);
+  const size = m && [Number(m[1]), Number(m[2])];
+  return size && size.every(s => s >= MIN_SNAPSHOT_SIDE && s <= MAX_SNAPSHOT_SIDE) ? size : null;
+}
+
+/**
+ * The scene as flat SVG markup (no <svg> wrapper) for when there's nothing to
+ * capture: stars, the grid floor, the centre rings and the language planets,
+ * projected through the scene camera like StaticHero.
+ * @param {{ width: number, height: number, planets?: object[], theme: object }} opts a THEMES entry
+ */
+export function backdropSvg({ width, height, planets = [], theme }) {
+  const { ui, scene } = theme;
+  const half = height / 2;
+  const unit = half / 90; // StaticHero's viewBox units
+  const project = ([x, y, z], r = 0) => {
+    const scale = half / ((CAMERA_Z - z) * HALF_FOV_TAN);
+    return { x: width / 2 + x * scale, y: half - y * scale, r: r * scale };
+  };
+  let seed = 42; // fixed, so every build draws the same sky
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const stars = Array.from({ length: Math.round((width * height) / 5000) }, () =>
+    `<circle cx="${n(random() * width)}" cy="${n(random() * height * 0.7)}" r="${n((0.5 + random()) * unit * 0.5)}" fill="#fff" fill-opacity="${n(0.2 + random() * 0.6)}"/>`);
+  const floor = Array.from({ length: 9 }, (_, i) => half + (40 + i * i * 0.7) * unit);
+  const rays = Array.from({ length: 41 }, (_, i) => (i - 20) * 20 * unit);
+  const knot = project([0, 0.2, 0]);
+
+  return [
+    `<defs><radialGradient id="snap-sky" cx="50%" cy="45%" r="65%"><stop offset="0" stop-color="${scene.primary}" stop-opacity="0.14"/><stop offset="1" stop-color="${scene.primary}" stop-opacity="0"/></radialGradient>`,
+    `<radialGradient id="snap-planet" cx="35%" cy="35%" r="70%"><stop offset="0" stop-color="#fff" stop-opacity="0.55"/><stop offset="1" stop-color="#fff" stop-opacity="0"/></radialGradient></defs>`,
+    `<rect width="${width}" height="${height}" fill="${ui.surface}"/><rect width="${width}" height="${height}" fill="url(#snap-sky)"/>`,
+    ...stars,
+    `<g stroke="${scene.grid}" stroke-opacity="0.35" stroke-width="${n(unit * 0.3)}">`,
+    ...floor.map(y => `<line x1="0" x2="${width}" y1="${n(y)}" y2="${n(y)}"/>`),
+    ...rays.map(x => `<line x1="${n(width / 2 + x * 0.3)}" y1="${n(half + 40 * unit)}" x2="${n(width / 2 + x * 2.5)}" y2="${height}"/>`),
+    "</g>",
+    `<g fill="none" stroke-width="${n(unit * 1.2)}">`,
+    `<ellipse cx="${n(knot.x)}" cy="${n(knot.y)}" rx="${n(24 * unit)}" ry="${n(9 * unit)}" stroke="${scene.primary}" transform="rotate(-18 ${n(knot.x)} ${n(knot.y)})"/>`,
+    `<ellipse cx="${n(knot.x)}" cy="${n(knot.y)}" rx="${n(24 * unit)}" ry="${n(9 * unit)}" stroke="${scene.highlight}" stroke-opacity="0.6" transform="rotate(30 ${n(knot.x)} ${n(knot.y)})"/>`,
+    "</g>",
+    ...planets.map(p => {
+      const c = project(p.pos, p.radius);
+      return `<circle cx="${n(c.x)}" cy="${n(c.y)}" r="${n(c.r)}" fill="${p.color}"/><circle cx="${n(c.x)}" cy="${n(c.y)}" r="${n(c.r)}" fill="url(#snap-planet)"/>` +
+        `<text x="${n(c.x)}" y="${n(c.y + c.r + 6 * unit)}" text-anchor="middle" fill="${scene.text}" font-family="${FONT}" font-size="${n(4.5 * unit)}">${escapeXml(p.label)}</text>`;
+    }),
+  ].join("");
+}
+
+/**
+ * The whole snapshot as an SVG document of `width`×`height` pixels.
+ * @param {{
+ *   width: number, height: number, theme: object,
+ *   name: string, tagline?: string, filter?: { label: string, value: string },
+ *   avatar?: string, url?: string, backdrop?: string,
+ * }} card `theme` is a THEMES entry. `avatar` must be a data: URL — neither an
+ *   SVG drawn as an image nor the rasteriser fetches anything. `backdrop` is
+ *   markup drawn under the card in pixels; leave it out when painting the card
+ *   over a capture.
+ */
+export function snapshotSvg({ width, height, theme, name, tagline = "", filter, avatar, url, backdrop = "" }) {
+  const { ui } = theme;
+  const scale = Math.min(width / BASE[0], height / BASE[1]);
+  const w = width / scale, h = height / scale;
+  const margin = 40, bar = 36, pad = 26, r = 52;
+  const win = { x: margin, width: Math.min(w - 2 * margin, 780), height: 200 };
+  win.y = h - margin - win.height;
+  const ax = win.x + pad + r, ay = win.y + bar + (win.height - bar) / 2;
+  const tx = ax + r + pad, room = win.x + win.width - pad - tx;
+  const host = hostOf(url);
+  const text = (x, y, size, attrs, body) => `<text x="${n(x)}" y="${n(y)}" font-size="${size}" ${attrs}>${body}</text>`;
+
+  const portrait = avatar
+    ? `<image href="${escapeXml(avatar)}" x="${n(ax - r)}" y="${n(ay - r)}" width="${2 * r}" height="${2 * r}" preserveAspectRatio="xMidYMid slice" clip-path="url(#snap-avatar)"/>`
+    : `<circle cx="${n(ax)}" cy="${n(ay)}" r="${r}" fill="${ui.fg}" fill-opacity="0.1"/>` +
+      text(ax, ay + 14, 40, `text-anchor="middle" fill="${ui.fg}" fill-opacity="0.7"`, escapeXml([...name][0]?.toUpperCase() || "?"));
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    backdrop,
+    `<g transform="scale(${scale})" font-family="${FONT}">`,
+    `<defs><linearGradient id="snap-scrim" x1="0" y1="0" x2="0" y2="1"><stop offset="0.4" stop-color="${ui.surface}" stop-opacity="0"/><stop offset="1" stop-color="${ui.surface}" stop-opacity="0.85"/></linearGradient>`,
+    `<filter id="snap-glow" x="-20%" y="-30%" width="140%" height="160%"><feDropShadow dx="0" dy="0" stdDeviation="16" flood-color="${ui.glow}" flood-opacity="0.35"/></filter>`,
+    `<clipPath id="snap-avatar"><circle cx="${n(ax)}" cy="${n(ay)}" r="${r}"/></clipPath></defs>`,
+    `<rect width="${n(w)}" height="${n(h)}" fill="url(#snap-scrim)"/>`,
+    `<rect x="${win.x}" y="${n(win.y)}" width="${n(win.width)}" height="${win.height}" rx="16" fill="${ui.panel}" fill-opacity="0.85" stroke="${ui.accent}" stroke-opacity="0.35" filter="url(#snap-glow)"/>`,
+    `<line x1="${win.x}" x2="${n(win.x + win.width)}" y1="${n(win.y + bar)}" y2="${n(win.y + bar)}" stroke="${ui.accent}" stroke-opacity="0.2"/>`,
+    ...DOTS.map((c, i) => `<circle cx="${win.x + 20 + i * 16}" cy="${n(win.y + bar / 2)}" r="5" fill="${c}" fill-opacity="0.7"/>`),
+    text(win.x + 80, win.y + bar / 2 + 5, 14, `fill="${ui.fg}" fill-opacity="0.8"`, "~ ▶ snapshot"),
+    host ? text(win.x + win.width - pad, win.y + bar / 2 + 5, 13, `text-anchor="end" fill="${ui.fg}" fill-opacity="0.55"`, escapeXml(host)) : "",
+    portrait,
+    `<circle cx="${n(ax)}" cy="${n(ay)}" r="${r}" fill="none" stroke="${ui.accent}" stroke-opacity="0.45" stroke-width="2"/>`,
+    text(tx, ay - 18, 38, `font-weight="700" fill="${ui.fg}"`, escapeXml(fit(name, 38, room))),
+    tagline ? text(tx, ay + 16, 19, `fill="${ui.fg}" fill-opacity="0.8"`, escapeXml(fit(tagline, 19, room))) : "",
+    filter
+      ? text(tx, ay + 50, 17, `fill="${ui.fg}"`, `<tspan fill-opacity="0.6">$ ${escapeXml(filter.label)} →</tspan> <tspan fill="${ui.accent}">${escapeXml(fit(filter.value, 17, room - (filter.label.length + 5) * 17 * CHAR))}</tspan>`)
+      : "",
+    "</g></svg>",
+  ].join("");
+}
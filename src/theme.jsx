@@ -0,0 +1,41 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from "react";
+import { DEFAULT_THEME, THEMES } from "./themes.js";
+
+/**
+ * Active theme: `data-theme` on <html> switches the CSS variables for the DOM;
+ * ThemeContext hands the scene palette to three.js components. The Canvas
+ * doesn't inherit React context from outside, so App renders the provider inside it.
+ */
+const STORAGE_KEY = "portfolio:theme";
+
+export const ThemeContext = createContext(THEMES[DEFAULT_THEME].scene);
+
+export function useSceneTheme() {
+  return useContext(ThemeContext);
+}
+
+function readTheme() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return THEMES[saved] ? saved : DEFAULT_THEME;
+  } catch { return DEFAULT_THEME; }
+}
+
+/**
+ * @returns {{ name: string, theme: typeof THEMES["neon-teal"], setTheme: (name: string) => void }}
+ */
+export function useThemeState() {
+  const [name, setName] = useState(readTheme);
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = name;
+  }, [name]);
+
+  const setTheme = useCallback(next => {
+    if (!THEMES[next]) return;
+    setName(next);
+    try { localStorage.setItem(STORAGE_KEY, next); } catch { /* private mode */ }
+  }, []);
+
+  return { name, theme: THEMES[name], setTheme };
+}
@@ -0,0 +1,57 @@
+/**
+ * Colour themes, defined once for both halves of the page.
+ *   ui    → CSS variables (see tailwind.config.js), used as `bg-surface`, `text-accent`, …
+ *           (the code rain is drawn in `glow`)
+ *   scene → three.js materials, read through ThemeContext inside the Canvas
+ * Theme names are shown through the `theme.<name>` messages in src/locales.
+ * Kept free of React/DOM imports so tailwind.config.js can load it too.
+ */
+export const THEMES = {
+  "neon-teal": {
+    ui: { surface: "#050b0a", panel: "#000000", fg: "#f1f5f9", accent: "#6ee7b7", onAccent: "#000000", glow: "#10b981" },
+    scene: {
+      primary: "#22d3ee", secondary: "#0ea5e9", highlight: "#67e8f9", particles: "#34d399",
+      gridCenter: "#14b8a6", grid: "#0ea5e9", text: "#ffffff",
+      orbiters: ["#a7f3d0", "#34d399", "#67e8f9", "#22d3ee"],
+      activity: ["#0f2a24", "#0e4429", "#006d32", "#26a641", "#39d353"],
+    },
+  },
+  matrix: {
+    ui: { surface: "#020702", panel: "#000000", fg: "#d1fae5", accent: "#4ade80", onAccent: "#000000", glow: "#22c55e" },
+    scene: {
+      primary: "#22c55e", secondary: "#15803d", highlight: "#86efac", particles: "#4ade80",
+      gridCenter: "#16a34a", grid: "#14532d", text: "#bbf7d0",
+      orbiters: ["#bbf7d0", "#22c55e", "#86efac", "#16a34a"],
+      activity: ["#052e16", "#14532d", "#15803d", "#22c55e", "#86efac"],
+    },
+  },
+  amber: {
+    ui: { surface: "#0b0600", panel: "#000000", fg: "#fde68a", accent: "#fbbf24", onAccent: "#000000", glow: "#f59e0b" },
+    scene: {
+      primary: "#f59e0b", secondary: "#b45309", highlight: "#fcd34d", particles: "#fbbf24",
+      gridCenter: "#d97706", grid: "#78350f", text: "#fde68a",
+      orbiters: ["#fef3c7", "#f59e0b", "#fcd34d", "#d97706"],
+      activity: ["#2a1a05", "#78350f", "#b45309", "#f59e0b", "#fcd34d"],
+    },
+  },
+  light: {
+    ui: { surface: "#f8fafc", panel: "#ffffff", fg: "#0f172a", accent: "#0f766e", onAccent: "#ffffff", glow: "#0f766e" },
+    scene: {
+      primary: "#0891b2", secondary: "#0e7490", highlight: "#0f766e", particles: "#0f766e",
+      gridCenter: "#94a3b8", grid: "#cbd5e1", text: "#0f172a",
+      orbiters: ["#5eead4", "#0f766e", "#67e8f9", "#0891b2"],
+      activity: ["#e2e8f0", "#9be9a8", "#40c463", "#30a14e", "#216e39"],
+    },
+  },
+};
+export const DEFAULT_THEME = "neon-teal";
+
+// "#6ee7b7" → "110 231 183", the form Tailwind's `<alpha-value>` colours need.
+export function hexToRgbTriplet(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return `${(n >> 16) & 255} ${(n >> 8) & 255} ${n & 255}`;
+}
+
+export function themeCssVariables(theme) {
+  return Object.fromEntries(Object.entries(theme.ui).map(([k, v]) => [`--${k.replace(/[A-Z]/g, c => "-" + c.toLowerCase())}`, hexToRgbTriplet(v)]));
+}
@@ -0,0 +1,155 @@
+/**
+ * The typewriter script language and the sequence engine that plays it, kept
+ * free of React/three so the config loader can check scripts at build time.
+ * Typewriter3D advances a sequence from useFrame and copies its text into the
+ * scene; nothing here knows about frames or meshes.
+ *
+ * A script (`typewriter` in the portfolio config) is a list of steps:
+ *   "text"                          typed on a line of its own, then a short pause
+ *   { type: "text", color, speed }  typed onto the current line; `color` is a hex
+ *                                   colour or a scene palette key (primary, highlight, …),
+ *                                   `speed` is characters per second
+ *   { pause: 1.5 }                  wait, in seconds
+ *   { backspace: 4 }                erase from the end of the current line ("line" for all of it)
+ *   { newline: true }               start a new line
+ *   { clear: true }                 erase everything
+ *   { cursor: bar, blink: false }   block | bar | underscore | none
+ *   { loop: true }                  start over; must be the last step
+ */
+export const TYPE_SPEED = 28; // characters per second
+export const ERASE_SPEED = 45;
+export const LINE_PAUSE = 0.6; // seconds after each plain line
+export const CURSORS = { block: "█", bar: "|", underscore: "_", none: "" };
+const ACTIONS = ["type", "pause", "backspace", "newline", "clear", "cursor", "loop"];
+const MODIFIERS = { type: ["color", "speed"], cursor: ["blink"] };
+
+/**
+ * What the schema can't say about a script: one action per step, modifiers
+ * only where they apply, loop only at the end. `at` prefixes each problem.
+ */
+export function scriptProblems(steps, at = "") {
+  const problems = [];
+  steps.forEach((step, i) => {
+    if (typeof step !== "object" || step === null) return;
+    const actions = Object.keys(step).filter(k => ACTIONS.includes(k));
+    if (actions.length !== 1) {
+      problems.push(`${at}/${i}: a step needs exactly one of ${ACTIONS.join(", ")}`);
+      return;
+    }
+    const stray = Object.keys(step).filter(k => k !== actions[0] && !MODIFIERS[actions[0]]?.includes(k));
+    if (stray.length) problems.push(`${at}/${i}: "${stray.join('", "')}" doesn't go with ${actions[0]}`);
+    if (actions[0] === "loop" && i !== steps.length - 1) problems.push(`${at}/${i}: loop must be the last step`);
+  });
+  return problems;
+}
+
+/**
+ * Steps → flat ops. A plain line starts a new line only when the current one
+ * has text, so the first line and lines after `clear` start at the top.
+ */
+export function compileScript(steps) {
+  const ops = [];
+  for (const step of steps) {
+    if (typeof step === "string") ops.push({ op: "newline", soft: true }, { op: "type", chars: [...step] }, { op: "pause", seconds: LINE_PAUSE });
+    else if ("type" in step) ops.push({ op: "type", chars: [...String(step.type)], color: step.color, speed: step.speed });
+    else if ("pause" in step) ops.push({ op: "pause", seconds: step.pause });
+    else if ("backspace" in step) ops.push({ op: "backspace", count: step.backspace });
+    else if (step.newline) ops.push({ op: "newline" });
+    else if (step.clear) ops.push({ op: "clear" });
+    else if ("cursor" in step) ops.push({ op: "cursor", style: step.cursor, blink: step.blink ?? true });
+    else if (step.loop) ops.push({ op: "loop" });
+  }
+  return ops;
+}
+
+/**
+ * Plays compiled ops. `advance(seconds)` moves the script on and returns true
+ * when the visible text changed; `skip()` jumps to the end (a looping script
+ * stops at its loop); `reset()` goes back to the start.
+ *
+ * `lines` is a list of lines, each a list of `{ ch, color }`; `version` counts
+ * visible changes so a renderer can tell when to copy them out; `busy` is true
+ * while characters are being typed or erased; `most` is the most lines seen.
+ */
+export function createSequence(ops) {
+  const duration = op => (op.op === "type" ? op.chars.length / (op.speed || TYPE_SPEED) : op.op === "pause" ? op.seconds : 0);
+  // a loop with nothing timed in it would spin forever inside one frame
+  const period = ops.reduce((sum, op) => sum + duration(op), 0);
+  const seq = { lines: [[]], most: 1, cursor: { style: "underscore", blink: true }, version: 0, busy: false, done: false };
+  let index = 0, elapsed = 0, progress = 0, erase = null;
+
+  const current = () => seq.lines[seq.lines.length - 1];
+  const changed = () => { seq.version++; };
+
+  function reset() {
+    seq.lines = [[]];
+    seq.cursor = { style: "underscore", blink: true };
+    seq.done = ops.length === 0;
+    seq.busy = false;
+    index = 0; elapsed = 0; progress = 0; erase = null;
+    changed();
+  }
+
+  // Runs ops until `t` seconds are used up; returns whether the text changed.
+  function run(t) {
+    const before = seq.version;
+    while (index < ops.length) {
+      const op = ops[index];
+      if (op.op === "type") {
+        const rate = op.speed || TYPE_SPEED;
+        const target = Math.min(op.chars.length, Math.floor(t * rate));
+        if (target > progress) {
+          for (; progress < target; progress++) current().push({ ch: op.chars[progress], color: op.color });
+          changed();
+        }
+        if (progress < op.chars.length) { elapsed = t; seq.busy = true; return seq.version !== before; }
+        t -= op.chars.length / rate;
+      } else if (op.op === "backspace") {
+        erase ??= Math.min(current().length, op.count === "line" ? Infinity : op.count);
+        const target = Math.min(erase, Math.floor(t * ERASE_SPEED));
+        if (target > progress) { current().length -= target - progress; progress = target; changed(); }
+        if (progress < erase) { elapsed = t; seq.busy = true; return seq.version !== before; }
+        t -= erase / ERASE_SPEED;
+        erase = null;
+      } else if (op.op === "pause") {
+        if (t < op.seconds) { elapsed = t; seq.busy = false; return seq.version !== before; }
+        t -= op.seconds;
+      } else if (op.op === "newline") {
+        if (!op.soft || current().length) {
+          seq.lines.push([]);
+          seq.most = Math.max(seq.most, seq.lines.length);
+          changed();
+        }
+      } else if (op.op === "clear") {
+        seq.lines = [[]];
+        changed();
+      } else if (op.op === "cursor") {
+        seq.cursor = { style: op.style, blink: op.blink };
+        changed();
+      } else if (op.op === "loop") {
+        if (!Number.isFinite(t) || period === 0) break;
+        seq.lines = [[]];
+        changed();
+        index = 0; progress = 0;
+        t = Math.min(t, period);
+        continue;
+      }
+      index++; progress = 0;
+    }
+    index = ops.length; elapsed = 0; seq.busy = false; seq.done = true;
+    return seq.version !== before;
+  }
+
+  seq.advance = seconds => (seq.done ? false : run(elapsed + seconds));
+  seq.skip = () => (seq.done ? false : run(Infinity));
+  seq.reset = reset;
+  reset();
+  return seq;
+}
+
+/** The most lines one pass of a script shows, so a renderer can lay out that many slots. */
+export function maxLines(ops) {
+  const probe = createSequence(ops);
+  probe.skip();
+  return probe.most;
+}
@@ -0,0 +1,32 @@
+import React from "react";
+
+// ---------------- Shared UI ----------------
+// For links to another view (see hrefFor): plain clicks stay in-page,
+// modifier-clicks open the same view in a new tab.
+export const inPage = action => e => {
+  if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+  e.preventDefault();
+  action();
+};
+
+export function StatChip({ children }) {
+  return <span className="px-3 py-1 rounded-full bg-accent/10 border border-accent/20 backdrop-blur text-xs font-mono">{children}</span>;
+}
+
+export function TerminalWindow({ id, title, note, actions, className = "", children }) {
+  return (
+    <div id={id} className={`scroll-mt-20 rounded-2xl border border-accent/20 bg-panel/30 shadow-[0_0_60px_rgb(var(--glow)/0.12)] ${className}`}>
+      <div className="flex items-center justify-between px-3 py-2 border-b border-accent/20 text-xs font-mono">
+        <div className="flex items-center gap-2">
+          <span className="h-2.5 w-2.5 rounded-full bg-red-400/70" />
+          <span className="h-2.5 w-2.5 rounded-full bg-yellow-400/70" />
+          <span className="h-2.5 w-2.5 rounded-full bg-green-400/70" />
+          <span className="ml-3 opacity-80">{title}</span>
+        </div>
+        {note && <span className="text-[10px] opacity-60 font-mono">{note}</span>}
+        {actions}
+      </div>
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+/**
+ * View state mirrored into the query string, so a link reproduces the exact view
+ * and Back/Forward walk through filter changes. Query params (rather than paths)
+ * keep it working on GitHub Pages without a 404 redirect.
+ *
+ *   ?filter=Kotlin    RepoList language filter ("All" is omitted)
+ *   &planet=Kotlin    active planet (orbiters); `planet` alone implies the same filter
+ *   &q=compose        search query
+ *   &topic=android    topic facet
+ *   &archived=active  archived facet ("all" is omitted)
+ *   &sort=updated     sort mode ("stars" is omitted)
+ *   &repo=DDC-App     open repo detail panel
+ *   &tag=kotlin       ~/notes tag filter
+ *   &note=hello-notes open note
+ */
+const DEFAULTS = { filter: "All", active: null, query: "", topic: null, archived: "all", sort: "stars", repo: null, tag: null, note: null };
+
+export function readUrlState(search = window.location.search) {
+  const p = new URLSearchParams(search);
+  const active = p.get("planet");
+  return {
+    filter: p.get("filter") || active || DEFAULTS.filter,
+    active: active || DEFAULTS.active,
+    query: p.get("q") || DEFAULTS.query,
+    topic: p.get("topic") || DEFAULTS.topic,
+    archived: p.get("archived") || DEFAULTS.archived,
+    sort: p.get("sort") || DEFAULTS.sort,
+    repo: p.get("repo") || DEFAULTS.repo,
+    tag: p.get("tag") || DEFAULTS.tag,
+    note: p.get("note") || DEFAULTS.note,
+  };
+}
+
+function toUrl(state, base = window.location.href) {
+  const url = new URL(base);
+  const set = (key, value) => value ? url.searchParams.set(key, value) : url.searchParams.delete(key);
+  set("planet", state.active);
+  set("filter", state.filter !== DEFAULTS.filter && state.filter !== state.active ? state.filter : null);
+  set("q", state.query);
+  set("topic", state.topic);
+  set("archived", state.archived !== DEFAULTS.archived ? state.archived : null);
+  set("sort", state.sort !== DEFAULTS.sort ? state.sort : null);
+  set("repo", state.repo);
+  set("tag", state.tag);
+  set("note", state.note);
+  return url;
+}
+
+// Link target for a state change, so modifier-clicks open the same view in a new tab.
+export function hrefFor(patch) {
+  const url = toUrl({ ...readUrlState(), ...patch });
+  return url.search || url.pathname;
+}
+
+/**
+ * @returns {[typeof DEFAULTS, (patch: Partial<typeof DEFAULTS>, opts?: { replace?: boolean }) => void]}
+ *   pass `replace` for high-frequency updates (typing) that shouldn't each get a history entry
+ */
+export function useUrlState() {
+  const [state, setState] = useState(() => readUrlState());
+  const current = useRef(state);
+
+  useEffect(() => {
+    const onPop = () => { current.current = readUrlState(); setState(current.current); };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  const update = useCallback((patch, { replace = false } = {}) => {
+    const next = { ...current.current, ...patch };
+    const url = toUrl(next);
+    if (url.href !== window.location.href) window.history[replace ? "replaceState" : "pushState"](null, "", url);
+    current.current = next;
+    setState(next);
+  }, []);
+
+  return [state, update];
+}
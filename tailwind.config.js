@@ -1,5 +1,30 @@
+import plugin from "tailwindcss/plugin"
+import { DEFAULT_THEME, THEMES, themeCssVariables } from "./src/themes.js"
+
+// Theme colours are CSS variables holding "r g b" triplets, switched by <html data-theme>.
+const themed = name => `rgb(var(--${name}) / <alpha-value>)`
+
 export default {
-  content: ["./index.html", "./src/**/*.{js,ts,jsx,tsx}"],
-  theme: { extend: {} },
-  plugins: [],
+  // plugins/ too: prerender.js writes the static fallback markup
+  content: ["./index.html", "./src/**/*.{js,ts,jsx,tsx}", "./plugins/**/*.js"],
+  theme: {
+    extend: {
+      colors: {
+        surface: themed("surface"),
+        panel: themed("panel"),
+        fg: themed("fg"),
+        accent: themed("accent"),
+        "on-accent": themed("on-accent"),
+        glow: themed("glow"),
+      },
+    },
+  },
+  plugins: [
+    plugin(({ addBase }) => {
+      addBase({ ":root": themeCssVariables(THEMES[DEFAULT_THEME]) })
+      for (const [name, theme] of Object.entries(THEMES)) addBase({ [`[data-theme="${name}"]`]: themeCssVariables(theme) })
+      // paper is white whatever the screen theme is
+      addBase({ "@media print": { ":root, [data-theme]": themeCssVariables(THEMES.light) } })
+    }),
+  ],
 }
@@ -1,7 +1,23 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import githubSnapshot from './plugins/github-snapshot.js'
+import notes from './plugins/notes.js'
+import ogImage from './plugins/og-image.js'
+import portfolioConfig, { loadPortfolioConfig } from './plugins/portfolio-config.js'
+import prerender from './plugins/prerender.js'
+import pwa from './plugins/pwa.js'
+
+const portfolio = loadPortfolioConfig()
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    portfolioConfig(portfolio),
+    githubSnapshot({ user: portfolio.config.github.user }),
+    notes(portfolio),
+    prerender(portfolio),
+    ogImage(portfolio),
+    pwa(portfolio),
+  ],
   base: '/',
 })